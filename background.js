@@ -3,28 +3,69 @@
 Service worker: stores episode + steps, captures screenshots, requests post state from content script, exports JSON.
 This uses IndexedDB for storage to avoid chrome.storage quotas when screenshots are enabled.
 */
+import { buildZip } from "./zip.js";
+import { captureCdpState, captureFullPageCdp, detachAll, onCdpDetached } from "./cdp.js";
+import { setNetworkCapture, requestsBetween, networkFlags, forgetTab, pendingRequestCount } from "./network.js";
+import { DEFAULT_SITE_RULES, validateSiteRules, siteDecision, hostnameOf } from "./sites.js";
+import { parseEpisodeFile } from "./importer.js";
+import { SCHEMA_VERSION, upgradeStoredEpisode, validateEpisodeOut, isIncompleteStep } from "./schema.js";
+import { SCRIPT_TARGETS, generateScript } from "./codegen.js";
+import { buildTrainingSamples } from "./training.js";
+import { planCoalesce } from "./coalesce.js";
+import { IMAGE_FORMATS, imageSettings, imageExtension, decodeImage, encodeScreenshot, markedScreenshot, elementCrop, stitchScreenshot } from "./images.js";
+import "./redaction.js";
+
+const { normalizePolicy, validatePolicy, redactText, policyFingerprint } = globalThis.EpisodeRedaction;
+
 const DB_NAME = "episode_recorder_db_v1";
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 
 function nowIso() { return new Date().toISOString(); }
 function uuid() { return crypto.randomUUID(); }
 
+// Upgrades keyed by the DB_VERSION that introduced them. Each runs inside the versionchange
+// transaction, in order, for every version newer than the one on disk.
+const DB_MIGRATIONS = {
+  1: (db) => {
+    db.createObjectStore("episodes", { keyPath: "episode_id" });
+    const store = db.createObjectStore("steps", { keyPath: "step_key" }); // step_key = `${episode_id}:${step_number}`
+    store.createIndex("by_episode", "episode_id", { unique: false });
+    store.createIndex("by_episode_step", ["episode_id","step_number"], { unique: true });
+    db.createObjectStore("settings", { keyPath: "key" });
+  },
+  // replay reports
+  2: (db) => {
+    const store = db.createObjectStore("replays", { keyPath: "replay_id" });
+    store.createIndex("by_episode", "episode_id", { unique: false });
+  },
+  // schema_version 2 on stored episodes
+  3: (db, tx) => {
+    const req = tx.objectStore("episodes").openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      const ep = cursor.value;
+      upgradeStoredEpisode(ep);
+      cursor.update(ep);
+      cursor.continue();
+    };
+  },
+  // post captures still owed, so they survive the service worker being suspended
+  4: (db) => {
+    db.createObjectStore("post_queue", { keyPath: "step_key" });
+  },
+  // blobs handed between the worker and extension pages (export downloads, imported files), too
+  // large for runtime messages
+  5: (db) => {
+    db.createObjectStore("transfers", { keyPath: "transfer_id" });
+  }
+};
+
 function openDb() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onupgradeneeded = () => {
-      const db = req.result;
-      if (!db.objectStoreNames.contains("episodes")) {
-        db.createObjectStore("episodes", { keyPath: "episode_id" });
-      }
-      if (!db.objectStoreNames.contains("steps")) {
-        const store = db.createObjectStore("steps", { keyPath: "step_key" }); // step_key = `${episode_id}:${step_number}`
-        store.createIndex("by_episode", "episode_id", { unique: false });
-        store.createIndex("by_episode_step", ["episode_id","step_number"], { unique: true });
-      }
-      if (!db.objectStoreNames.contains("settings")) {
-        db.createObjectStore("settings", { keyPath: "key" });
-      }
+    req.onupgradeneeded = (event) => {
+      for (let v = event.oldVersion + 1; v <= DB_VERSION; v++) DB_MIGRATIONS[v]?.(req.result, req.transaction);
     };
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
@@ -76,6 +117,155 @@ async function idbGetStepsForEpisode(episodeId) {
   });
 }
 
+async function idbGetAll(storeName) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, "readonly");
+    const req = tx.objectStore(storeName).getAll();
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Walks an episode's step rows one at a time so stats don't load every screenshot at once.
+async function idbScanStepsForEpisode(episodeId, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("steps", "readonly");
+    const req = tx.objectStore("steps").index("by_episode").openCursor(IDBKeyRange.only(episodeId));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      fn(cursor.value);
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function idbCountStepsForEpisode(episodeId) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("steps", "readonly");
+    const req = tx.objectStore("steps").index("by_episode").count(IDBKeyRange.only(episodeId));
+    req.onsuccess = () => resolve(req.result || 0);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function idbLastStepNumber(episodeId) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("steps", "readonly");
+    const range = IDBKeyRange.bound([episodeId, -Infinity], [episodeId, Infinity]);
+    const req = tx.objectStore("steps").index("by_episode_step").openKeyCursor(range, "prev");
+    req.onsuccess = () => resolve(req.result ? req.result.key[1] : null);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Numbers and stores a new step in one transaction: the number is one past the episode's last
+// stored step, so steps recorded close together can't get the same one. build(stepNumber)
+// returns { row, queued } where queued is the step's post_queue entry (or null).
+async function idbAppendStep(episodeId, build) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    let stepNumber = null;
+    const tx = db.transaction(["steps", "post_queue"], "readwrite");
+    const steps = tx.objectStore("steps");
+    const range = IDBKeyRange.bound([episodeId, -Infinity], [episodeId, Infinity]);
+    const req = steps.index("by_episode_step").openKeyCursor(range, "prev");
+    req.onsuccess = () => {
+      stepNumber = req.result ? req.result.key[1] + 1 : 0;
+      const { row, queued } = build(stepNumber);
+      steps.add(row);
+      if (queued) tx.objectStore("post_queue").put(queued);
+    };
+    tx.oncomplete = () => resolve(stepNumber);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Applies fn(step) to a stored step inside one transaction, so writers that touch different
+// fields of the same step (post capture, coalescing) don't undo each other. A step deleted
+// meanwhile stays deleted; fn returning false leaves the row as it is. With dequeue, the step's
+// post_queue entry goes in the same transaction.
+async function idbUpdateStep(key, fn, { dequeue = false } = {}) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    let updated = false;
+    const tx = db.transaction(["steps", "post_queue"], "readwrite");
+    const steps = tx.objectStore("steps");
+    const req = steps.get(key);
+    req.onsuccess = () => {
+      const row = req.result;
+      if (row && fn(row.step) !== false) {
+        steps.put(row);
+        updated = true;
+      }
+      if (dequeue) tx.objectStore("post_queue").delete(key);
+    };
+    tx.oncomplete = () => resolve(updated);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Deletes a step row and its post_queue entry.
+async function idbDeleteStep(key) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["steps", "post_queue"], "readwrite");
+    tx.objectStore("steps").delete(key);
+    tx.objectStore("post_queue").delete(key);
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Deletes step rows by key only; keep(episodeId) decides which episodes survive.
+async function idbDeleteSteps(keep) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    let deleted = 0;
+    const tx = db.transaction("steps", "readwrite");
+    const store = tx.objectStore("steps");
+    const req = store.index("by_episode").openKeyCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      if (!keep(cursor.key)) {
+        store.delete(cursor.primaryKey);
+        deleted++;
+      }
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(deleted);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Swaps all of an episode's step rows for `rows` in one transaction (review edits renumber steps).
+async function idbReplaceSteps(episodeId, rows) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("steps", "readwrite");
+    const store = tx.objectStore("steps");
+    const req = store.index("by_episode").openKeyCursor(IDBKeyRange.only(episodeId));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (cursor) {
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+        return;
+      }
+      for (const row of rows) store.put(row);
+    };
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 async function getSettings() {
   const s = await idbGet("settings", "recorder_state");
   return s?.value || null;
@@ -85,26 +275,30 @@ async function setSettings(value) {
   await idbPut("settings", { key: "recorder_state", value });
 }
 
+function defaultOptions() {
+  return { captureScreenshots: true, captureDomState: true, captureCdp: false, captureNetwork: true, captureRequestBodies: false, captureTyping: false, coalesceSteps: true, settleMaxMs: SETTLE_DEFAULT_MAX_MS,
+    captureMarkedScreenshots: false, captureElementCrops: false, screenshotFormat: "png", screenshotQuality: 0.85, screenshotMaxWidth: 0,
+    fullPageOnNavigation: false };
+}
+
+// Clears the current episode (the library keeps every other one).
 async function clearAll() {
   const st = await getSettings();
-  if (st?.episodeId) {
-    // delete steps and episode metadata
-    const steps = await idbGetStepsForEpisode(st.episodeId);
-    for (const s of steps) await idbDelete("steps", s.step_key);
-    await idbDelete("episodes", st.episodeId);
-  }
+  if (st?.episodeId) await deleteEpisode(st.episodeId);
   await setSettings({
     isRecording: false,
     episodeId: null,
     startedAt: null,
     stepCount: 0,
     lastMessage: "Cleared.",
-    options: { captureScreenshots: true, captureDomState: true }
+    options: defaultOptions()
   });
 }
 
 async function init() {
   const st = await getSettings();
+  // webRequest listeners live in network.js; re-arm them after a service-worker restart
+  if (st) applyNetworkCapture(st, await getRedactionPolicy());
   if (!st) {
     await setSettings({
       isRecording: false,
@@ -112,14 +306,127 @@ async function init() {
       startedAt: null,
       stepCount: 0,
       lastMessage: "",
-      options: { captureScreenshots: true, captureDomState: true }
+      options: defaultOptions()
     });
   }
+  await cleanupOrphanedSteps();
+  await cleanupTransfers();
+  await resumePostQueue();
 }
 init().catch(() => {
   // ignore init errors; extension will retry on next access
 });
 
+function applyNetworkCapture(st, policy) {
+  setNetworkCapture({
+    enabled: !!st?.isRecording && !!st.options?.captureNetwork,
+    bodies: !!st?.options?.captureRequestBodies,
+    policy,
+    track: !!st?.isRecording
+  });
+}
+
+// Redaction policy lives in its own settings row so clearing the recorder state keeps it.
+async function getRedactionPolicy() {
+  const row = await idbGet("settings", "redaction_policy");
+  return normalizePolicy(row?.value || null);
+}
+
+function policyStamp(policy) {
+  return { policy_version: policy.version, policy_hash: policyFingerprint(policy) };
+}
+
+async function setRedactionPolicy(raw) {
+  const { policy, errors } = validatePolicy(raw);
+  if (errors.length) return { ok: false, errors, lastMessage: `Policy not saved: ${errors.length} problem(s).` };
+  await idbPut("settings", { key: "redaction_policy", value: policy });
+
+  const st = await getSettings();
+  applyNetworkCapture(st, policy);
+  const tabs = await chrome.tabs.query({});
+  for (const t of tabs) {
+    if (!t.id) continue;
+    try { await chrome.tabs.sendMessage(t.id, { type: "RECORDER_SET_POLICY", redactionPolicy: policy }); } catch {}
+  }
+  if (st?.isRecording && st.episodeId) {
+    const ep = await idbGet("episodes", st.episodeId);
+    if (ep) {
+      ep.redaction = { ...policyStamp(policy), changed_during_recording: true };
+      await idbPut("episodes", ep);
+    }
+  }
+  return { ok: true, errors: [], policy, lastMessage: `Redaction policy "${policy.version}" saved.` };
+}
+
+// Site rules (allow/deny lists, per-site overrides), also in their own settings row.
+async function getSiteRules() {
+  const row = await idbGet("settings", "site_rules");
+  return row?.value || DEFAULT_SITE_RULES;
+}
+
+async function setSiteRules(raw) {
+  const { rules, errors } = validateSiteRules(raw);
+  if (errors.length) return { ok: false, errors, lastMessage: `Site rules not saved: ${errors.length} problem(s).` };
+  await idbPut("settings", { key: "site_rules", value: rules });
+  const st = await getSettings();
+  await broadcastEnabled(!!st?.isRecording);
+  return { ok: true, errors: [], rules, lastMessage: "Site rules saved." };
+}
+
+// What the content script in a tab should do: excluded sites are either silenced ("drop") or
+// keep reporting bare event types so the background can write an off-record placeholder.
+function contentModeFor(url, isRecording, rules, options = {}) {
+  const decision = siteDecision(url, rules);
+  return {
+    enabled: isRecording && (decision.recorded || rules.off_record === "placeholder"),
+    offRecord: !decision.recorded,
+    typing: !!{ ...options, ...decision.options }.captureTyping
+  };
+}
+
+function offRecordObservation(tabId, tabs, tab) {
+  return {
+    off_record: true,
+    dom_state: emptyDomState(),
+    url: "",
+    title: "",
+    tabs,
+    tab_index: tabs.find(t => t.tab_id === String(tabId))?.tab_index ?? null,
+    window_id: tab?.windowId ?? null,
+    page_info: null
+  };
+}
+
+// Blacks out the content script's redaction boxes (CSS px) on a PNG screenshot (device px).
+async function maskScreenshot(b64, boxes, viewport) {
+  const bmp = await createImageBitmap(new Blob([base64ToBytes(b64)], { type: "image/png" }));
+  const canvas = new OffscreenCanvas(bmp.width, bmp.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bmp, 0, 0);
+  const scale = bmp.width / (viewport?.w || bmp.width);
+  const pad = 2;
+  ctx.fillStyle = "#000";
+  for (const b of boxes) {
+    ctx.fillRect(Math.floor((b.x - pad) * scale), Math.floor((b.y - pad) * scale), Math.ceil((b.w + 2 * pad) * scale), Math.ceil((b.h + 2 * pad) * scale));
+  }
+  const blob = await canvas.convertToBlob({ type: "image/png" });
+  return bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+}
+
+// CDP output carries raw page text; run its string table and AX names through the policy.
+function redactCdp(cdp, policy) {
+  if (!cdp || cdp.error) return cdp;
+  const red = (t, field) => redactText(t, policy, field).value;
+  if (Array.isArray(cdp.dom_snapshot?.strings)) {
+    cdp.dom_snapshot.strings = cdp.dom_snapshot.strings.map(t => red(t, "nearby_text") ?? "");
+  }
+  for (const node of cdp.ax_tree || []) {
+    if (typeof node.name?.value === "string") node.name.value = red(node.name.value, "label") ?? "";
+    if (typeof node.value?.value === "string") node.value.value = red(node.value.value, "input_value") ?? "";
+  }
+  return cdp;
+}
+
 async function setBadge(isRecording) {
   try {
     await chrome.action.setBadgeText({ text: isRecording ? "REC" : "" });
@@ -128,10 +435,14 @@ async function setBadge(isRecording) {
 }
 
 async function broadcastEnabled(enabled) {
+  const redactionPolicy = await getRedactionPolicy();
+  const rules = await getSiteRules();
+  const options = (await getSettings())?.options || {};
   const tabs = await chrome.tabs.query({});
   for (const t of tabs) {
     if (!t.id) continue;
-    try { await chrome.tabs.sendMessage(t.id, { type: "RECORDER_SET_ENABLED", enabled }); } catch {}
+    const mode = contentModeFor(t.url, enabled, rules, options);
+    try { await chrome.tabs.sendMessage(t.id, { type: "RECORDER_SET_ENABLED", ...mode, redactionPolicy }); } catch {}
   }
 }
 
@@ -144,7 +455,7 @@ async function ensureContentScript(tabId) {
   try {
     await chrome.scripting.executeScript({
       target: { tabId, allFrames: true },
-      files: ["content.js"]
+      files: ["redaction.js", "content.js"]
     });
     return { ok: true };
   } catch (e) {
@@ -154,11 +465,12 @@ async function ensureContentScript(tabId) {
 
 async function ensureContentScriptsInAllTabs() {
   const tabs = await chrome.tabs.query({});
+  const rules = await getSiteRules();
   let injected = 0;
   let skipped = 0;
   let failed = 0;
   for (const t of tabs) {
-    if (!t.id || !isInjectableUrl(t.url)) {
+    if (!t.id || !isInjectableUrl(t.url) || !contentModeFor(t.url, true, rules).enabled) {
       skipped++;
       continue;
     }
@@ -174,10 +486,15 @@ async function getActiveTab() {
   return tab || null;
 }
 
-async function captureScreenshotForActiveWindow() {
-  const win = await chrome.windows.getLastFocused();
+// captureVisibleTab can only see the active tab of a window, so capture from the window that
+// owns the acting tab and refuse (rather than grab the wrong page) when that tab is hidden.
+async function captureScreenshotForTab(tabId) {
+  // a full-page capture has the page scrolled somewhere else
+  await fullPageLock;
   try {
-    const dataUrl = await chrome.tabs.captureVisibleTab(win.id, { format: "png" });
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.active) return { error: "Tab is not the active tab of its window; screenshot skipped." };
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: "png" });
     // strip prefix to match browser-use screenshot base64 string usage
     const b64 = dataUrl.includes(",") ? dataUrl.split(",", 2)[1] : dataUrl;
     return { data_url: dataUrl, b64 };
@@ -186,6 +503,69 @@ async function captureScreenshotForActiveWindow() {
   }
 }
 
+function isRecorderPage(url) {
+  return !!url && url.startsWith(chrome.runtime.getURL(""));
+}
+
+// Per-episode tab registry: every tab seen while recording gets a stable tab_index (0, 1, 2, ...)
+// that survives tab id reuse across windows. Kept in its own settings row so step-count writes
+// don't clobber it; updates are serialized through registryLock.
+let registryLock = Promise.resolve();
+
+function withTabRegistry(episodeId, fn) {
+  const run = registryLock.then(async () => {
+    const row = await idbGet("settings", "tab_registry");
+    const reg = (row?.value?.episodeId === episodeId)
+      ? row.value
+      : { episodeId, next: 0, byTabId: {}, activeTabId: null };
+    const result = await fn(reg);
+    await idbPut("settings", { key: "tab_registry", value: reg });
+    return result;
+  });
+  registryLock = run.catch(() => {});
+  return run;
+}
+
+// Tabs first seen on an excluded site keep no URL, like action.url in recordStep.
+function registerTab(reg, tab, rules) {
+  const key = String(tab.id);
+  if (!reg.byTabId[key]) {
+    const url = tab.pendingUrl || tab.url || "";
+    reg.byTabId[key] = {
+      tab_index: reg.next++,
+      first_url: url && !siteDecision(url, rules).recorded ? null : url,
+      opener_tab_id: tab.openerTabId ?? null,
+      opened_at: nowIso(),
+      closed_at: null
+    };
+  }
+  return reg.byTabId[key].tab_index;
+}
+
+async function listTabsForObservation(episodeId) {
+  const rules = await getSiteRules();
+  const tabs = (await chrome.tabs.query({}))
+    .filter(t => t.id && !isRecorderPage(t.url))
+    .map(t => siteDecision(t.url, rules).recorded ? t : { ...t, url: "", title: "", offRecord: true });
+  if (!episodeId) {
+    return tabs.map(t => ({ url: t.url || "", title: t.title || "", tab_id: String(t.id), window_id: t.windowId, active: !!t.active }));
+  }
+  return await withTabRegistry(episodeId, (reg) => {
+    const out = tabs.map(t => ({
+      tab_index: registerTab(reg, t, rules),
+      tab_id: String(t.id),
+      window_id: t.windowId,
+      url: t.url || "",
+      title: t.title || "",
+      active: !!t.active,
+      ...(t.offRecord ? { off_record: true } : {}),
+      opener_tab_index: t.openerTabId != null ? (reg.byTabId[String(t.openerTabId)]?.tab_index ?? null) : null
+    }));
+    out.sort((a, b) => a.tab_index - b.tab_index);
+    return out;
+  });
+}
+
 function shallowDiff(a, b) {
   const out = {};
   const keys = new Set([...Object.keys(a||{}), ...Object.keys(b||{})]);
@@ -197,58 +577,202 @@ function shallowDiff(a, b) {
   return out;
 }
 
+// Structural diff of two selector_maps. Items are matched by CSS selector first, then by
+// tag/role/label, never by list index (indexes shift whenever anything above them changes).
+const MOVE_THRESHOLD_PX = 4;
+
+function interactableKey(it) {
+  return `${it.tag}|${it.role || ""}|${it.label}`;
+}
+
+function interactableSummary(it, index) {
+  return { index: Number(index), tag: it.tag, role: it.role, label: it.label, css: it.selectors?.css || null };
+}
+
+function diffSelectorMaps(preMap, postMap) {
+  const preItems = Object.entries(preMap || {});
+  const postItems = Object.entries(postMap || {});
+  const unmatchedPost = new Set(postItems.map(([idx]) => idx));
+  const pairs = [];
+  const unmatchedPre = [];
+
+  const byCss = new Map();
+  for (const [idx, it] of postItems) {
+    const css = it.selectors?.css;
+    if (css && !byCss.has(css)) byCss.set(css, idx);
+  }
+  for (const [idx, it] of preItems) {
+    const postIdx = byCss.get(it.selectors?.css);
+    if (postIdx != null && unmatchedPost.has(postIdx)) {
+      unmatchedPost.delete(postIdx);
+      pairs.push([idx, postIdx]);
+    } else {
+      unmatchedPre.push(idx);
+    }
+  }
+
+  const disappeared = [];
+  for (const idx of unmatchedPre) {
+    const key = interactableKey(preMap[idx]);
+    const postIdx = Array.from(unmatchedPost).find(p => interactableKey(postMap[p]) === key);
+    if (postIdx != null) {
+      unmatchedPost.delete(postIdx);
+      pairs.push([idx, postIdx]);
+    } else {
+      disappeared.push(interactableSummary(preMap[idx], idx));
+    }
+  }
+
+  const changed = [];
+  for (const [preIdx, postIdx] of pairs) {
+    const a = preMap[preIdx];
+    const b = postMap[postIdx];
+    const changes = shallowDiff(
+      { label: a.label, disabled: a.disabled, in_viewport: a.in_viewport },
+      { label: b.label, disabled: b.disabled, in_viewport: b.in_viewport }
+    );
+    const dx = (b.bbox?.x ?? 0) - (a.bbox?.x ?? 0);
+    const dy = (b.bbox?.y ?? 0) - (a.bbox?.y ?? 0);
+    if (Math.abs(dx) > MOVE_THRESHOLD_PX || Math.abs(dy) > MOVE_THRESHOLD_PX) {
+      changes.position = { before: a.bbox, after: b.bbox };
+    }
+    if (Object.keys(changes).length) {
+      changed.push({ ...interactableSummary(b, postIdx), pre_index: Number(preIdx), changes });
+    }
+  }
+
+  const appeared = Array.from(unmatchedPost).map(idx => interactableSummary(postMap[idx], idx));
+  return { appeared, disappeared, changed };
+}
+
+function newNotices(preNotices, postNotices, kind) {
+  const before = new Set((preNotices || []).filter(n => n.kind === kind).map(n => n.text));
+  return (postNotices || []).filter(n => n.kind === kind && !before.has(n.text));
+}
+
+function diffDomStates(pre, post) {
+  // notices only exist when the DOM state was actually captured on both sides
+  if (!Array.isArray(pre?.notices) || !Array.isArray(post?.notices)) return null;
+  return {
+    ...diffSelectorMaps(pre.selector_map, post.selector_map),
+    new_dialogs: newNotices(pre.notices, post.notices, "dialog"),
+    new_toasts: newNotices(pre.notices, post.notices, "toast"),
+    new_validation_messages: newNotices(pre.notices, post.notices, "validation")
+  };
+}
+
 async function requestPostState(tabId, captureDomState) {
   try {
-    const resp = await chrome.tabs.sendMessage(tabId, { type: "RECORDER_CAPTURE_POST", captureDomState });
+    // post state describes the page, i.e. the top frame; subframes would race it with their own
+    const resp = await chrome.tabs.sendMessage(tabId, { type: "RECORDER_CAPTURE_POST", captureDomState }, { frameId: 0 });
     return resp?.post || null;
   } catch (e) {
     return { error: String(e) };
   }
 }
 
-async function startRecording(options) {
-  const episodeId = uuid();
-  const createdAt = nowIso();
+function defaultEpisodeName(createdAt) {
+  return `Episode ${createdAt.slice(0, 16).replace("T", " ")}`;
+}
 
-  const episode = {
-    episode_id: episodeId,
-    created_at: createdAt,
-    browser: { name: "chromium" },
-    origin: { type: "extension_mvp", build: "0.1.0" },
-    steps: [] // not used in storage; steps are stored separately
-  };
-  await idbPut("episodes", episode);
+// Starts a new episode, or resumes recording into resumeEpisodeId (steps continue its numbering).
+// { description, success_criteria[] } from the popup; criteria may arrive as one line per criterion.
+function normalizeTask(task) {
+  if (!task) return null;
+  const description = String(task.description || "").trim();
+  const raw = Array.isArray(task.success_criteria) ? task.success_criteria : String(task.success_criteria || "").split("\n");
+  const success_criteria = raw.map(c => String(c).trim()).filter(Boolean);
+  return description || success_criteria.length ? { description, success_criteria } : null;
+}
+
+async function startRecording(options, resumeEpisodeId = null, task = null) {
+  const prev = await getSettings();
+  if (prev?.isRecording) await stopRecording();
+
+  let episode;
+  let stepCount = 0;
+  if (resumeEpisodeId) {
+    episode = await idbGet("episodes", resumeEpisodeId);
+    if (!episode) return { episodeId: null, stepCount: 0, lastMessage: "Episode not found." };
+    const last = await idbLastStepNumber(resumeEpisodeId);
+    stepCount = last == null ? 0 : last + 1;
+  } else {
+    const createdAt = nowIso();
+    episode = {
+      schema_version: SCHEMA_VERSION,
+      episode_id: uuid(),
+      created_at: createdAt,
+      name: defaultEpisodeName(createdAt),
+      tags: [],
+      browser: { name: "chromium" },
+      origin: { type: "extension_mvp", build: chrome.runtime.getManifest().version },
+      task: null,
+      annotations: [],
+      steps: [] // not used in storage; steps are stored separately
+    };
+  }
+  // a resumed episode keeps its task unless a new one is given
+  if (normalizeTask(task)) episode.task = normalizeTask(task);
+  const episodeId = episode.episode_id;
 
   const st = await getSettings();
   const mergedOptions = { ...(st?.options || {}), ...(options || {}) };
+  episode.options = mergedOptions;
+  episode.redaction = policyStamp(await getRedactionPolicy());
+  await idbPut("episodes", episode);
 
-  let lastMessage = "Recording started.";
+  let lastMessage = resumeEpisodeId ? `Resumed recording at step ${stepCount}.` : "Recording started.";
   const injectSummary = await ensureContentScriptsInAllTabs();
   if (injectSummary.failed > 0) {
-    lastMessage = `Recording started. Injected content script into ${injectSummary.injected} tab(s); failed on ${injectSummary.failed}.`;
+    lastMessage = `${lastMessage} Injected content script into ${injectSummary.injected} tab(s); failed on ${injectSummary.failed}.`;
   }
 
   await setSettings({
     isRecording: true,
     episodeId,
     startedAt: Date.now(),
-    stepCount: 0,
+    stepCount,
     lastMessage,
     options: mergedOptions
   });
+  applyNetworkCapture(await getSettings(), await getRedactionPolicy());
+
+  // seed the tab registry so indexes follow the tab order at start; a resumed episode keeps
+  // its earlier tabs as history and continues their numbering
+  const activeTab = await getActiveTab();
+  const rules = await getSiteRules();
+  await withTabRegistry(episodeId, async (reg) => {
+    if (resumeEpisodeId && reg.next === 0 && episode.tabs?.length) {
+      reg.history = episode.tabs.map(t => ({ ...t, closed_at: t.closed_at || nowIso() }));
+      reg.next = Math.max(...episode.tabs.map(t => t.tab_index)) + 1;
+    }
+    const tabs = await chrome.tabs.query({});
+    tabs.sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index));
+    for (const t of tabs) if (t.id && !isRecorderPage(t.url)) registerTab(reg, t, rules);
+    reg.activeTabId = activeTab?.id ?? null;
+  });
 
   await setBadge(true);
   await broadcastEnabled(true);
 
-  return { episodeId, stepCount: 0, lastMessage };
+  return { episodeId, stepCount, lastMessage };
 }
 
 async function stopRecording() {
   const st = await getSettings();
   if (!st?.isRecording) return st || {};
   await setSettings({ ...st, isRecording: false, lastMessage: "Recording stopped." });
+  applyNetworkCapture(null);
+  await detachAll();
   await setBadge(false);
   await broadcastEnabled(false);
+
+  // the tab registry row is shared; keep this episode's copy with the episode
+  const ep = await idbGet("episodes", st.episodeId);
+  if (ep) {
+    ep.tabs = await episodeTabs(st.episodeId);
+    await idbPut("episodes", ep);
+  }
   return await getSettings();
 }
 
@@ -256,175 +780,1819 @@ async function setOptions(options) {
   const st = await getSettings();
   const merged = { ...(st?.options || {}), ...(options || {}) };
   await setSettings({ ...(st||{}), options: merged, lastMessage: "Options updated." });
-  return await getSettings();
+  const updated = await getSettings();
+  applyNetworkCapture(updated, await getRedactionPolicy());
+  // typing mode lives in the content scripts
+  if (updated.isRecording) await broadcastEnabled(true);
+  return updated;
 }
 
-// Core: handle RECORDER_EVENT from content script
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  (async () => {
-    const st = await getSettings();
-    if (msg?.type === "RECORDER_GET_STATUS") {
-      sendResponse(st || {});
-      return;
-    }
-    if (msg?.type === "RECORDER_START") {
-      const resp = await startRecording(msg.options);
-      sendResponse(resp);
-      return;
-    }
-    if (msg?.type === "RECORDER_STOP") {
-      const resp = await stopRecording();
-      sendResponse(resp);
-      return;
-    }
-    if (msg?.type === "RECORDER_CLEAR") {
-      await clearAll();
-      const resp = await getSettings();
-      sendResponse(resp);
-      return;
-    }
-    if (msg?.type === "RECORDER_SET_OPTIONS") {
-      const resp = await setOptions(msg.options);
-      sendResponse(resp);
-      return;
-    }
-    if (msg?.type === "RECORDER_EXPORT") {
-      const st2 = await getSettings();
-      if (!st2?.episodeId) {
-        sendResponse({ episodeId: null, stepCount: 0, lastMessage: "No episode." });
-        return;
-      }
-      const ep = await idbGet("episodes", st2.episodeId);
-      const steps = await idbGetStepsForEpisode(st2.episodeId);
-      const episodeOut = {
-        episode_id: ep.episode_id,
-        created_at: ep.created_at,
-        browser: ep.browser,
-        origin: ep.origin,
-        options: st2.options,
-        steps: steps.map(s => s.step),
-      };
-      sendResponse({ episode: episodeOut, episodeId: st2.episodeId, stepCount: steps.length, lastMessage: "Exported." });
-      return;
-    }
-
-    // Step event
-    if (msg?.type === "RECORDER_EVENT" && msg?.event?.kind === "step") {
-      if (!st?.isRecording || !st.episodeId) return;
+async function buildEpisodeOut(episodeId) {
+  const st = await getSettings();
+  const ep = await idbGet("episodes", episodeId);
+  if (!ep) return null;
+  const steps = await idbGetStepsForEpisode(episodeId);
+  return {
+    schema_version: SCHEMA_VERSION,
+    episode_id: ep.episode_id,
+    name: ep.name || defaultEpisodeName(ep.created_at),
+    tags: ep.tags || [],
+    created_at: ep.created_at,
+    browser: ep.browser,
+    origin: ep.origin,
+    options: ep.options || st?.options,
+    redaction: ep.redaction || null,
+    task: ep.task || null,
+    annotations: annotationsFromSteps(steps.map(s => s.step)),
+    subgoals: subgoalRanges(steps.map(s => s.step)),
+    tabs: await episodeTabs(episodeId),
+    steps: steps.map(s => s.step),
+  };
+}
 
-      const tabId = sender?.tab?.id;
-      if (!tabId) return;
+async function episodeTabs(episodeId) {
+  const row = await idbGet("settings", "tab_registry");
+  if (row?.value?.episodeId !== episodeId) {
+    const ep = await idbGet("episodes", episodeId);
+    return ep?.tabs || [];
+  }
+  const live = Object.entries(row.value.byTabId).map(([tabId, t]) => ({ ...t, tab_id: tabId }));
+  return [...(row.value.history || []), ...live].sort((a, b) => a.tab_index - b.tab_index);
+}
 
-      const stepNumber = st.stepCount || 0;
-      const stepId = uuid();
-
-      // Pre state is provided by content script; enrich with tab info and screenshot (optional)
-      const tab = await chrome.tabs.get(tabId);
-
-      const preFromContent = msg.event.pre || {};
-      const pre = {
-        // BrowserUse-like summary fields
-        dom_state: st.options?.captureDomState ? (preFromContent.dom_state || {}) : { llm_representation: "", selector_map: {}, elements_count: 0 },
-        url: tab.url || preFromContent.url || "",
-        title: tab.title || preFromContent.title || "",
-        tabs: [{ url: tab.url || "", title: tab.title || "", tab_id: String(tabId) }],
-        page_info: preFromContent.page_info || null,
-        frame_url: preFromContent.frame_url,
-        is_top_frame: preFromContent.is_top_frame
-      };
-
-      if (st.options?.captureScreenshots) {
-        const shot = await captureScreenshotForActiveWindow();
-        pre.screenshot = shot.b64 || null;
-        pre.screenshot_data_url = shot.data_url || null;
-        if (shot.error) pre.screenshot_error = shot.error;
-      }
+// Episode library. Stats (step count, size, start URL) are cached on the episode row and
+// recomputed when the step count moved or the episode is the one being recorded.
+async function episodeStats(ep, isCurrent) {
+  const count = await idbCountStepsForEpisode(ep.episode_id);
+  if (ep.stats && ep.stats.step_count === count && !isCurrent) return ep.stats;
 
-      // Action (already structured)
-      const action = msg.event.action || { type: "unknown" };
-
-      const stepRecord = {
-        step_id: stepId,
-        step_number: stepNumber,
-        t_ms: msg.event.t_ms ?? null,
-        t_iso: msg.event.t_iso ?? null,
-        pre,
-        action,
-        post: null,
-        derived: null
-      };
-
-      // Persist "pending" step immediately
-      await idbPut("steps", {
-        step_key: `${st.episodeId}:${stepNumber}`,
-        episode_id: st.episodeId,
-        step_number: stepNumber,
-        step: stepRecord
-      });
+  const stats = { step_count: 0, size_bytes: 0, start_url: null, last_step_at: null };
+  await idbScanStepsForEpisode(ep.episode_id, (row) => {
+    stats.step_count++;
+    stats.size_bytes += JSON.stringify(row).length;
+    if (row.step_number === 0 || stats.start_url == null) stats.start_url = row.step?.pre?.url || stats.start_url;
+    stats.last_step_at = row.step?.t_iso || stats.last_step_at;
+  });
+  ep.stats = stats;
+  await idbPut("episodes", ep);
+  return stats;
+}
 
-      // Request post state after a short delay to let the UI settle
-      const delayMs = (action.type === "scroll") ? 200 : 500;
-      setTimeout(async () => {
-        const st3 = await getSettings();
-        // It's okay if recording stopped; still finalize the step if episode matches
-        if (!st3?.episodeId || st3.episodeId !== st.episodeId) return;
-
-        const postFromContent = await requestPostState(tabId, !!st3.options?.captureDomState);
-        const tab2 = await chrome.tabs.get(tabId);
-
-        const post = {
-          dom_state: st3.options?.captureDomState ? (postFromContent?.dom_state || {}) : { llm_representation: "", selector_map: {}, elements_count: 0 },
-          url: tab2.url || postFromContent?.url || "",
-          title: tab2.title || postFromContent?.title || "",
-          tabs: [{ url: tab2.url || "", title: tab2.title || "", tab_id: String(tabId) }],
-          page_info: postFromContent?.page_info || null,
-          frame_url: postFromContent?.frame_url,
-          is_top_frame: postFromContent?.is_top_frame
-        };
-
-        if (st3.options?.captureScreenshots) {
-          const shot2 = await captureScreenshotForActiveWindow();
-          post.screenshot = shot2.b64 || null;
-          post.screenshot_data_url = shot2.data_url || null;
-          if (shot2.error) post.screenshot_error = shot2.error;
-        }
+async function listEpisodes() {
+  const st = await getSettings();
+  const episodes = await idbGetAll("episodes");
+  const out = [];
+  for (const ep of episodes) {
+    const isCurrent = ep.episode_id === st?.episodeId;
+    const stats = await episodeStats(ep, isCurrent);
+    out.push({
+      episode_id: ep.episode_id,
+      name: ep.name || defaultEpisodeName(ep.created_at),
+      tags: ep.tags || [],
+      created_at: ep.created_at,
+      step_count: stats.step_count,
+      start_url: stats.start_url,
+      size_bytes: stats.size_bytes,
+      is_current: isCurrent,
+      is_recording: isCurrent && !!st?.isRecording
+    });
+  }
+  out.sort((a, b) => (b.created_at || "").localeCompare(a.created_at || ""));
+  return out;
+}
 
-        const derived = {
-          page_diff: {
-            url: (pre.url !== post.url) ? { before: pre.url, after: post.url } : undefined,
-            title: (pre.title !== post.title) ? { before: pre.title, after: post.title } : undefined,
-            scroll_y: (pre.page_info?.scroll_y !== post.page_info?.scroll_y) ? { before: pre.page_info?.scroll_y, after: post.page_info?.scroll_y } : undefined,
-          }
-        };
-
-        // Update the step
-        const row = await idbGet("steps", `${st.episodeId}:${stepNumber}`);
-        if (!row) return;
-        row.step.post = post;
-        row.step.derived = derived;
-        await idbPut("steps", row);
-
-      }, delayMs);
-
-      // Increment step count
-      await setSettings({ ...st, stepCount: stepNumber + 1, lastMessage: `Recorded step ${stepNumber}.` });
-      sendResponse({ ok: true, stepNumber });
-      return;
-    }
-  })().then(() => {
-    // keep channel open? no-op
-  }).catch((e) => {
-    try { sendResponse({ ok: false, error: String(e) }); } catch {}
-  });
-  return true; // indicate async response
-});
+async function updateEpisode(episodeId, { name, tags } = {}) {
+  const ep = await idbGet("episodes", episodeId);
+  if (!ep) return { ok: false, lastMessage: "Episode not found." };
+  if (typeof name === "string" && name.trim()) ep.name = name.trim().slice(0, 200);
+  if (Array.isArray(tags)) ep.tags = Array.from(new Set(tags.map(t => String(t).trim()).filter(Boolean)));
+  await idbPut("episodes", ep);
+  return { ok: true, lastMessage: "Episode updated." };
+}
 
-// If a navigation happens, optionally add a navigate step (MVP: just update lastMessage)
-// You can extend this to create explicit "navigate" ActionEvent.
-chrome.webNavigation.onCommitted.addListener(async (details) => {
+async function deleteEpisode(episodeId) {
   const st = await getSettings();
-  if (!st?.isRecording) return;
-  // Only top frame navigations
-  if (details.frameId !== 0) return;
-  await setSettings({ ...st, lastMessage: `Navigation: ${details.url}` });
+  if (st?.episodeId === episodeId) {
+    if (st.isRecording) await stopRecording();
+    const st2 = await getSettings();
+    await setSettings({ ...st2, episodeId: null, startedAt: null, stepCount: 0 });
+  }
+  await idbDeleteSteps(id => id !== episodeId);
+  await dropPostQueue(id => id !== episodeId);
+  for (const r of await idbGetAll("replays")) {
+    if (r.episode_id === episodeId) await idbDelete("replays", r.replay_id);
+  }
+  await idbDelete("episodes", episodeId);
+  return { ok: true, lastMessage: "Episode deleted." };
+}
+
+async function dropPostQueue(keep) {
+  for (const entry of await idbGetAll("post_queue")) {
+    if (!keep(entry.episode_id)) await idbDelete("post_queue", entry.step_key);
+  }
+}
+
+// Step rows whose episode row is gone (left behind by earlier versions) are unreachable.
+async function cleanupOrphanedSteps() {
+  const known = new Set((await idbGetAll("episodes")).map(ep => ep.episode_id));
+  const deleted = await idbDeleteSteps(id => known.has(id));
+  await dropPostQueue(id => known.has(id));
+  return { ok: true, deleted, lastMessage: `Removed ${deleted} orphaned step row(s).` };
+}
+
+function pad4(n) { return String(n).padStart(4, "0"); }
+
+// kind: "" for the screenshot itself, "marked", "crop" or "full" for the derived images.
+function screenshotAssetPath(stepNumber, phase, obs = null, kind = "") {
+  return `assets/step_${pad4(stepNumber)}_${phase}${kind ? `_${kind}` : ""}.${imageExtension(obs?.screenshot_info?.format)}`;
+}
+
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+function bytesToBase64(bytes) {
+  // chunked so large archives don't blow the argument limit of fromCharCode
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Bundle layout: episode.json + assets/step_NNNN_{pre,post}[_marked|_crop|_full].{png,jpg,webp} +
+// manifest.json (hashes/sizes).
+// Observations reference their screenshot by relative path instead of carrying base64 twice.
+async function buildEpisodeBundle(episodeOut) {
+  const enc = new TextEncoder();
+  const assets = [];
+  const episode = structuredClone(episodeOut);
+
+  for (const step of episode.steps) {
+    for (const phase of ["pre", "post"]) {
+      const obs = step[phase];
+      if (!obs) continue;
+      if (obs.screenshot) {
+        const path = screenshotAssetPath(step.step_number, phase, obs);
+        assets.push({ path, data: base64ToBytes(obs.screenshot) });
+        obs.screenshot_path = path;
+      }
+      if (obs.screenshot_marked) {
+        const path = screenshotAssetPath(step.step_number, phase, obs, "marked");
+        assets.push({ path, data: base64ToBytes(obs.screenshot_marked) });
+        obs.screenshot_marked_path = path;
+      }
+      if (obs.element_crop) {
+        const path = screenshotAssetPath(step.step_number, phase, obs, "crop");
+        assets.push({ path, data: base64ToBytes(obs.element_crop) });
+        obs.element_crop_path = path;
+      }
+      if (obs.full_page_screenshot) {
+        const path = screenshotAssetPath(step.step_number, phase, { screenshot_info: obs.full_page_info }, "full");
+        assets.push({ path, data: base64ToBytes(obs.full_page_screenshot) });
+        obs.full_page_screenshot_path = path;
+      }
+      delete obs.screenshot;
+      delete obs.screenshot_data_url;
+      delete obs.screenshot_marked;
+      delete obs.element_crop;
+      delete obs.full_page_screenshot;
+      if (obs.cdp && !obs.cdp.error) {
+        const path = `assets/step_${pad4(step.step_number)}_${phase}_cdp.json`;
+        assets.push({ path, data: enc.encode(JSON.stringify(obs.cdp)) });
+        obs.cdp_path = path;
+        delete obs.cdp;
+      }
+    }
+  }
+
+  const entries = [{ path: "episode.json", data: enc.encode(JSON.stringify(episode, null, 2)) }, ...assets];
+  const files = [];
+  for (const e of entries) {
+    files.push({ path: e.path, size: e.data.length, sha256: await sha256Hex(e.data) });
+  }
+  const manifest = {
+    bundle_version: 1,
+    episode_id: episode.episode_id,
+    created_at: nowIso(),
+    files
+  };
+  entries.push({ path: "manifest.json", data: enc.encode(JSON.stringify(manifest, null, 2)) });
+  return buildZip(entries);
+}
+
+// Service workers have no URL.createObjectURL and data: URLs stop at about 2 MB, so the bytes go
+// through the "transfers" store to an offscreen document, which hands back a blob: URL. The URL
+// is revoked (and the document closed when idle) once the download ends.
+const OFFSCREEN_URL = "offscreen.html";
+const TRANSFER_MAX_AGE_MS = 60 * 60 * 1000;
+const downloadBlobUrls = new Map(); // downloadId -> blob: URL
+let downloadsStarting = 0;
+let offscreenReady = null;
+
+function ensureOffscreen() {
+  if (!offscreenReady) {
+    offscreenReady = (async () => {
+      const open = await chrome.runtime.getContexts({ contextTypes: ["OFFSCREEN_DOCUMENT"] });
+      if (open.length) return;
+      await chrome.offscreen.createDocument({ url: OFFSCREEN_URL, reasons: ["BLOBS"], justification: "Object URLs for export downloads" });
+    })();
+    offscreenReady.catch(() => { offscreenReady = null; });
+  }
+  return offscreenReady;
+}
+
+async function downloadBytes(bytes, mimeType, filename) {
+  const transferId = uuid();
+  await idbPut("transfers", { transfer_id: transferId, blob: new Blob([bytes], { type: mimeType }), created_at: nowIso() });
+  downloadsStarting++;
+  try {
+    await ensureOffscreen();
+    const resp = await chrome.runtime.sendMessage({ type: "RECORDER_OFFSCREEN_BLOB_URL", transferId });
+    if (!resp?.url) throw new Error(resp?.error || "The offscreen document did not answer.");
+    const downloadId = await chrome.downloads.download({ url: resp.url, filename, saveAs: false });
+    downloadBlobUrls.set(downloadId, resp.url);
+    return downloadId;
+  } finally {
+    downloadsStarting--;
+    await idbDelete("transfers", transferId);
+  }
+}
+
+chrome.downloads.onChanged.addListener(async (delta) => {
+  const url = downloadBlobUrls.get(delta.id);
+  const state = delta.state?.current;
+  if (!url || (state !== "complete" && state !== "interrupted")) return;
+  downloadBlobUrls.delete(delta.id);
+  try { await chrome.runtime.sendMessage({ type: "RECORDER_OFFSCREEN_REVOKE", url }); } catch {}
+  if (!downloadBlobUrls.size && !downloadsStarting) {
+    offscreenReady = null;
+    try { await chrome.offscreen.closeDocument(); } catch {}
+  }
+});
+
+// Transfers are deleted as soon as they are read; these are leftovers of a worker stopped mid-way.
+async function cleanupTransfers() {
+  const cutoff = Date.now() - TRANSFER_MAX_AGE_MS;
+  for (const row of await idbGetAll("transfers")) {
+    if (!(Date.parse(row.created_at) > cutoff)) await idbDelete("transfers", row.transfer_id);
+  }
+}
+
+// Checked against the schema before export; problems travel with the file instead of blocking it.
+function attachValidation(episodeOut) {
+  const problems = validateEpisodeOut(episodeOut);
+  for (const step of episodeOut.steps) {
+    if (isIncompleteStep(step)) step.incomplete = true;
+  }
+  episodeOut.validation = {
+    valid: !problems.some(p => p.level === "error"),
+    checked_at: nowIso(),
+    problems
+  };
+  return episodeOut.validation;
+}
+
+async function exportEpisode(episodeId, format) {
+  const episodeOut = await buildEpisodeOut(episodeId);
+  if (!episodeOut) return { episodeId, stepCount: 0, lastMessage: "Episode not found." };
+
+  if (SCRIPT_TARGETS[format]) {
+    const bytes = new TextEncoder().encode(generateScript(episodeOut, format));
+    const downloadId = await downloadBytes(bytes, "text/javascript", `episode_${episodeId}.${SCRIPT_TARGETS[format].extension}`);
+    return { downloadId, episodeId, stepCount: episodeOut.steps.length, lastMessage: `Exported ${SCRIPT_TARGETS[format].label}.` };
+  }
+
+  // screenshot paths point into the bundle export of the same episode
+  if (format === "training") {
+    const { samples, unmapped } = buildTrainingSamples(episodeOut, (step, kind) => screenshotAssetPath(step.step_number, "pre", step.pre, kind));
+    const bytes = new TextEncoder().encode(samples.map(s => JSON.stringify(s)).join("\n") + "\n");
+    const downloadId = await downloadBytes(bytes, "application/x-ndjson", `episode_${episodeId}.training.jsonl`);
+    return {
+      downloadId,
+      episodeId,
+      stepCount: episodeOut.steps.length,
+      lastMessage: `Exported ${samples.length} training sample(s)` + (unmapped ? `, ${unmapped} without a target index.` : ".")
+    };
+  }
+
+  const validation = attachValidation(episodeOut);
+  const incomplete = episodeOut.steps.filter(s => s.incomplete).length;
+  const errors = validation.problems.filter(p => p.level === "error").length;
+
+  let downloadId;
+  if (format === "json") {
+    const bytes = new TextEncoder().encode(JSON.stringify(episodeOut, null, 2));
+    downloadId = await downloadBytes(bytes, "application/json", `episode_${episodeId}.json`);
+  } else {
+    const bytes = await buildEpisodeBundle(episodeOut);
+    downloadId = await downloadBytes(bytes, "application/zip", `episode_${episodeId}.zip`);
+  }
+  return {
+    downloadId,
+    episodeId,
+    stepCount: episodeOut.steps.length,
+    lastMessage: (format === "json" ? "Exported JSON." : "Exported bundle.") +
+      (incomplete ? ` ${incomplete} incomplete step(s) without a post state.` : "") +
+      (errors ? ` ${errors} schema error(s), see validation in the file.` : "")
+  };
+}
+
+// Import an exported file into the library. onCollision decides what happens when the file's
+// episode_id is already stored: "copy" imports under a new id, "replace" overwrites the stored one.
+// transferId: the "transfers" row the library page stored the file in; it is consumed here.
+async function importEpisode(transferId, fileName, onCollision = "copy") {
+  const transfer = transferId ? await idbGet("transfers", transferId) : null;
+  if (!transfer) return { ok: false, problems: [], lastMessage: "Import failed: the file did not reach the recorder." };
+  await idbDelete("transfers", transferId);
+  const bytes = new Uint8Array(await transfer.blob.arrayBuffer());
+  const { episode: raw, format, schemaVersion, problems } = await parseEpisodeFile(bytes);
+  const errors = problems.filter(p => p.level === "error").length;
+  if (!raw) {
+    return { ok: false, problems, lastMessage: `Import failed: ${errors} error(s), nothing was stored.` };
+  }
+
+  const st = await getSettings();
+  let episodeId = typeof raw.episode_id === "string" && raw.episode_id.trim() ? raw.episode_id.trim() : uuid();
+  let name = String(raw.name || "").trim() || defaultEpisodeName(raw.created_at || nowIso());
+  const existing = await idbGet("episodes", episodeId);
+  if (existing && onCollision === "replace") {
+    if (st?.isRecording && st.episodeId === episodeId) {
+      return { ok: false, problems, lastMessage: "That episode is being recorded; stop recording before replacing it." };
+    }
+    await deleteEpisode(episodeId);
+  } else if (existing) {
+    episodeId = uuid();
+    name = `${name} (imported)`;
+  }
+
+  const episode = {
+    schema_version: SCHEMA_VERSION,
+    episode_id: episodeId,
+    created_at: raw.created_at || nowIso(),
+    name: name.slice(0, 200),
+    tags: Array.isArray(raw.tags) ? Array.from(new Set(raw.tags.map(t => String(t).trim()).filter(Boolean))) : [],
+    browser: raw.browser || null,
+    origin: raw.origin || null,
+    options: raw.options || null,
+    redaction: raw.redaction || null,
+    task: normalizeTask(raw.task),
+    annotations: annotationsFromSteps(raw.steps),
+    tabs: Array.isArray(raw.tabs) ? raw.tabs : [],
+    imported: {
+      from_episode_id: raw.episode_id || null,
+      from_schema_version: schemaVersion,
+      file_name: fileName || null,
+      format,
+      imported_at: nowIso()
+    },
+    steps: []
+  };
+  const rows = raw.steps.map(step => ({
+    step_key: stepKey(episodeId, step.step_number),
+    episode_id: episodeId,
+    step_number: step.step_number,
+    step
+  }));
+  await idbReplaceSteps(episodeId, rows);
+  await idbPut("episodes", episode);
+
+  const warnings = problems.length - errors;
+  return {
+    ok: true,
+    episodeId,
+    stepCount: rows.length,
+    problems,
+    lastMessage: `Imported "${episode.name}" with ${rows.length} step(s)` +
+      (warnings ? ` and ${warnings} warning(s).` : ".") +
+      (episodeId !== raw.episode_id && existing ? " Its ID was already in the library, so it got a new one." : "")
+  };
+}
+
+function stepKey(episodeId, stepNumber) { return `${episodeId}:${stepNumber}`; }
+
+function emptyDomState() {
+  return { llm_representation: "", selector_map: {}, elements_count: 0 };
+}
+
+// Merge a content-script state summary with tab info and (optionally) a screenshot.
+// fromContent may be null or { error } when the content script could not be reached.
+// target ({ css, xpath } of the interacted element) lets CDP capture resolve its backend node id.
+async function buildObservation(tabId, fromContent, baseOptions, target = null) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  const st = await getSettings();
+  const tabs = await listTabsForObservation(st?.episodeId);
+  const site = siteDecision(tab?.url, await getSiteRules());
+  if (!site.recorded) return offRecordObservation(tabId, tabs, tab);
+  const options = { ...(baseOptions || {}), ...site.options };
+  const obs = {
+    // BrowserUse-like summary fields
+    dom_state: options?.captureDomState ? (fromContent?.dom_state || {}) : emptyDomState(),
+    url: tab?.url || fromContent?.url || "",
+    title: tab?.title || fromContent?.title || "",
+    tabs,
+    tab_index: tabs.find(t => t.tab_id === String(tabId))?.tab_index ?? null,
+    window_id: tab?.windowId ?? null,
+    page_info: fromContent?.page_info || null,
+    frame_url: fromContent?.frame_url,
+    is_top_frame: fromContent?.is_top_frame
+  };
+
+  const policy = await getRedactionPolicy();
+  if (options?.captureScreenshots) {
+    const shot = await captureScreenshotForTab(tabId);
+    obs.screenshot = shot.b64 || null;
+    obs.screenshot_data_url = shot.data_url || null;
+    if (shot.error) obs.screenshot_error = shot.error;
+    let redaction = null;
+    if (obs.screenshot && policy.field_actions.screenshot !== "none") {
+      redaction = await collectRedaction(tabId);
+      await applyScreenshotRedaction(obs, redaction, policy);
+    }
+    // marks and crops are drawn from the masked capture
+    if (obs.screenshot) await renderScreenshots(obs, fromContent, options, redaction?.viewport);
+  }
+
+  if (options?.captureCdp) {
+    obs.cdp = redactCdp(await captureCdpState(tabId, { url: tab?.url, target }), policy);
+  }
+  return obs;
+}
+
+// Redaction boxes of every frame of the tab, in top-level viewport coordinates (with page, the
+// whole document in document coordinates). -> { boxes, viewport, frames_unreported } or { error }
+// when the top frame didn't answer or a frame with boxes couldn't be placed. Frames without a
+// content script can't report and are only counted.
+async function collectRedaction(tabId, { page = false } = {}) {
+  let frames = null;
+  try { frames = await chrome.webNavigation.getAllFrames({ tabId }); } catch {}
+  if (!frames?.length) frames = [{ frameId: 0 }];
+  const replies = await Promise.all(frames.map(f =>
+    chrome.tabs.sendMessage(tabId, { type: "RECORDER_REDACTION_BOXES", page }, { frameId: f.frameId }).catch(() => null)));
+  const top = replies[frames.findIndex(f => f.frameId === 0)];
+  if (!top?.ok) return { error: "page redaction info unavailable" };
+  const answered = replies.filter(r => r?.ok);
+  if (answered.some(r => !r.placed)) return { error: "a frame's redaction boxes could not be placed on the page" };
+  // subframes answer in viewport coordinates; the top frame already did the shift itself
+  const shift = (r) => page && r !== top ? r.boxes.map(b => ({ ...b, x: b.x + top.scroll.x, y: b.y + top.scroll.y })) : r.boxes;
+  return {
+    boxes: answered.flatMap(shift),
+    viewport: top.viewport,
+    frames_unreported: frames.length - answered.length
+  };
+}
+
+// Without the page's redaction boxes we can't tell what to mask, so the screenshot is dropped.
+async function applyScreenshotRedaction(obs, redaction, policy) {
+  if (!redaction?.boxes) {
+    obs.screenshot = null;
+    obs.screenshot_data_url = null;
+    obs.screenshot_error = `Screenshot dropped: ${redaction?.error || "page redaction info unavailable"}.`;
+    return;
+  }
+  try {
+    if (redaction.boxes.length) {
+      obs.screenshot = await maskScreenshot(obs.screenshot, redaction.boxes, redaction.viewport);
+      obs.screenshot_data_url = `data:image/png;base64,${obs.screenshot}`;
+    }
+    obs.screenshot_redaction = { boxes_masked: redaction.boxes.length, policy_version: policy.version };
+    if (redaction.frames_unreported) obs.screenshot_redaction.frames_unreported = redaction.frames_unreported;
+  } catch (e) {
+    obs.screenshot = null;
+    obs.screenshot_data_url = null;
+    obs.screenshot_error = `Screenshot dropped: masking failed (${String(e)}).`;
+  }
+}
+
+// Re-encodes the capture per the image options and adds the optional set-of-marks screenshot
+// and interacted-element crop. Marks need the top frame's selector map (its boxes are in the
+// screenshot's coordinates); crops use interacted_element, which is in top-level coordinates.
+async function renderScreenshots(obs, fromContent, options, viewport = null) {
+  const settings = imageSettings(options);
+  const target = options.captureElementCrops ? fromContent?.dom_state?.interacted_element : null;
+  const wantMarks = !!options.captureMarkedScreenshots;
+  if (settings.format === "png" && !settings.maxWidth && !wantMarks && !target) return;
+  let bitmap = null;
+  try {
+    bitmap = await decodeImage(obs.screenshot);
+    const viewportW = viewport?.w || (fromContent?.is_top_frame ? fromContent?.page_info?.viewport_width : 0);
+    const cssScale = viewportW ? bitmap.width / viewportW : (target?.layout?.viewport?.dpr || 1);
+
+    const main = await encodeScreenshot(bitmap, settings);
+    obs.screenshot = main.b64;
+    obs.screenshot_data_url = `data:${IMAGE_FORMATS[settings.format]};base64,${main.b64}`;
+    obs.screenshot_info = { format: settings.format, width: main.width, height: main.height, css_scale: cssScale * main.scale };
+
+    const map = fromContent?.is_top_frame ? obs.dom_state?.selector_map : null;
+    if (wantMarks && map && Object.keys(map).length) {
+      obs.screenshot_marked = (await markedScreenshot(bitmap, map, cssScale, settings)).b64;
+    }
+    const crop = target ? await elementCrop(bitmap, target.layout?.bbox, cssScale, settings) : null;
+    if (crop) {
+      obs.element_crop = crop.b64;
+      obs.element_crop_box = crop.box;
+    }
+  } catch (e) {
+    obs.screenshot_error = `Screenshot rendering failed (${String(e)}); the capture is kept as taken.`;
+  } finally {
+    bitmap?.close();
+  }
+}
+
+// Full-page screenshots: when the CDP option already holds a debugger session on the tab, one
+// captureBeyondViewport screenshot; otherwise the top frame's content script scrolls one viewport
+// at a time and each viewport is captured, masked and stitched. Only the document's own scrolling
+// is followed (inner scroll containers show their visible part), at the viewport's width, down to
+// FULL_PAGE_MAX_CSS_HEIGHT. captureVisibleTab allows two calls per second, hence the spacing.
+// Events from the tab are dropped while it is being scrolled: they'd be steps with pre
+// screenshots of a page the user never saw.
+const FULL_PAGE_MAX_CSS_HEIGHT = 10000;
+const CAPTURE_INTERVAL_MS = 550;
+let fullPageLock = Promise.resolve();
+const fullPageTabs = new Set();
+
+function captureFullPage(tabId, options) {
+  const run = fullPageLock.then(() => captureFullPageNow(tabId, options));
+  fullPageLock = run.catch(() => {});
+  return run;
+}
+
+async function captureVisibleTile(windowId) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const dataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: "png" });
+      return dataUrl.includes(",") ? dataUrl.split(",", 2)[1] : dataUrl;
+    } catch (e) {
+      if (attempt || !/MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND/.test(String(e))) throw e;
+      await sleep(1000);
+    }
+  }
+}
+
+// -> { full_page_screenshot, full_page_info } to merge into an observation, {} when the page
+// fits in the viewport, or { full_page_error }.
+async function captureFullPageNow(tabId, options) {
+  let begun = false;
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.active) return { full_page_error: "Tab is not the active tab of its window; full-page screenshot skipped." };
+    fullPageTabs.add(tabId);
+    const info = await chrome.tabs.sendMessage(tabId, { type: "RECORDER_FULL_PAGE_BEGIN" }, { frameId: 0 }).catch(() => null);
+    if (!info?.ok) return { full_page_error: info?.error || "No content script in the page." };
+    begun = true;
+    const vh = info.viewport_height;
+    if (!vh || info.page_height <= vh) return {};
+    const cssHeight = Math.min(info.page_height, FULL_PAGE_MAX_CSS_HEIGHT);
+
+    const policy = await getRedactionPolicy();
+    const settings = imageSettings(options);
+    const viaCdp = await fullPageViaCdp(tabId, cssHeight, policy, settings);
+    if (viaCdp?.full_page_error) return viaCdp;
+    if (viaCdp) return { ...viaCdp, full_page_info: { ...viaCdp.full_page_info, page_height: info.page_height } };
+
+    const tiles = [];
+    let y = 0;
+    while (y < cssHeight) {
+      const r = await chrome.tabs.sendMessage(tabId, { type: "RECORDER_FULL_PAGE_SCROLL", y, hideFixed: y > 0 }, { frameId: 0 });
+      if (!r?.ok) throw new Error(r?.error || "scroll failed");
+      // the page stopped growing or refused to scroll
+      if (tiles.length && r.scroll_y <= tiles[tiles.length - 1].y) break;
+      if (tiles.length) await sleep(CAPTURE_INTERVAL_MS);
+      // every frame's boxes at this scroll position, before the tile is taken
+      const redaction = policy.field_actions.screenshot !== "none" ? await collectRedaction(tabId) : null;
+      if (redaction && !redaction.boxes) return { full_page_error: `Full-page screenshot dropped: ${redaction.error}.` };
+      let b64 = await captureVisibleTile(tab.windowId);
+      if (redaction?.boxes.length) b64 = await maskScreenshot(b64, redaction.boxes, redaction.viewport);
+      tiles.push({ b64, y: r.scroll_y });
+      y = r.scroll_y + vh;
+    }
+
+    const out = await stitchScreenshot(tiles, info.viewport_width, cssHeight, settings);
+    return {
+      full_page_screenshot: out.b64,
+      full_page_info: {
+        method: "tiles",
+        format: settings.format,
+        width: out.width,
+        height: out.height,
+        css_scale: out.css_scale,
+        css_height: cssHeight,
+        page_height: info.page_height,
+        truncated: info.page_height > cssHeight,
+        tiles: tiles.length
+      }
+    };
+  } catch (e) {
+    return { full_page_error: String(e) };
+  } finally {
+    if (begun) {
+      try { await chrome.tabs.sendMessage(tabId, { type: "RECORDER_FULL_PAGE_END" }, { frameId: 0 }); } catch {}
+    }
+    fullPageTabs.delete(tabId);
+  }
+}
+
+// One-shot capture on an existing debugger session, from the top of the page so fixed elements
+// sit where the page-mode redaction boxes put them. null (tiles instead) when not attached or
+// the capture fails, e.g. on a page taller than the GPU texture limit.
+async function fullPageViaCdp(tabId, cssHeight, policy, settings) {
+  try {
+    const r = await chrome.tabs.sendMessage(tabId, { type: "RECORDER_FULL_PAGE_SCROLL", y: 0, hideFixed: false }, { frameId: 0 });
+    if (!r?.ok) return null;
+    const redaction = policy.field_actions.screenshot !== "none" ? await collectRedaction(tabId, { page: true }) : null;
+    if (redaction && !redaction.boxes) return { full_page_error: `Full-page screenshot dropped: ${redaction.error}.` };
+    const shot = await captureFullPageCdp(tabId, cssHeight);
+    if (!shot) return null;
+    let b64 = shot.b64;
+    if (redaction?.boxes.length) b64 = await maskScreenshot(b64, redaction.boxes, { w: shot.css_width });
+    const out = await stitchScreenshot([{ b64, y: 0 }], shot.css_width, shot.css_height, settings);
+    return {
+      full_page_screenshot: out.b64,
+      full_page_info: {
+        method: "cdp",
+        format: settings.format,
+        width: out.width,
+        height: out.height,
+        css_scale: out.css_scale,
+        css_height: shot.css_height,
+        truncated: shot.page_height > shot.css_height,
+        tiles: 1
+      }
+    };
+  } catch {
+    return null;
+  }
+}
+
+function wantsFullPage(step, options) {
+  if (!options?.fullPageOnNavigation || !options.captureScreenshots) return false;
+  return step.action?.type === "navigate" || !!step.navigations?.length;
+}
+
+// Popup button: full-page screenshot of the active tab, attached to the post observation of the
+// tab's last step (kept aside until that step's post capture lands).
+async function captureFullPageOnDemand() {
+  const st = await getSettings();
+  if (!st?.isRecording || !st.episodeId) return { ok: false, lastMessage: "Start recording before taking a full-page screenshot." };
+  const tab = await getActiveTab();
+  const last = tab ? lastStepByTab.get(tab.id) : null;
+  if (!last || last.episodeId !== st.episodeId) return { ok: false, lastMessage: "No step recorded in this tab yet." };
+
+  const shot = await captureFullPage(tab.id, st.options);
+  if (shot.full_page_error) return { ok: false, lastMessage: `Full-page screenshot failed: ${shot.full_page_error}` };
+  if (!shot.full_page_screenshot) return { ok: false, lastMessage: "The page fits in the viewport; the regular screenshot covers it." };
+  const updated = await idbUpdateStep(stepKey(last.episodeId, last.stepNumber), (step) => {
+    if (step.post) Object.assign(step.post, shot);
+    else step.full_page_pending = shot;
+  });
+  if (!updated) return { ok: false, lastMessage: "The step was removed meanwhile." };
+  return { ok: true, stepNumber: last.stepNumber, lastMessage: `Full-page screenshot added to step ${last.stepNumber}.` };
+}
+
+// Selectors are frame- and shadow-root-relative, so only top-frame light-DOM targets can be resolved through CDP.
+function cdpTargetOf(action) {
+  const ref = action?.target_ref;
+  if (!ref?.dom?.selectors || ref.context?.is_top_frame === false || ref.context?.shadow_hosts?.length) return null;
+  return ref.dom.selectors;
+}
+
+function deriveStep(pre, post, requests) {
+  const derived = {
+    page_diff: {
+      url: (pre?.url !== post.url) ? { before: pre?.url, after: post.url } : undefined,
+      title: (pre?.title !== post.title) ? { before: pre?.title, after: post.title } : undefined,
+      scroll_y: (pre?.page_info?.scroll_y !== post.page_info?.scroll_y) ? { before: pre?.page_info?.scroll_y, after: post.page_info?.scroll_y } : undefined,
+    }
+  };
+  derived.dom_diff = diffDomStates(pre?.dom_state, post.dom_state);
+  if (requests) Object.assign(derived, networkFlags(requests));
+  return derived;
+}
+
+// Post capture waits for the page to settle instead of a fixed delay: the top frame's content
+// script reports DOM quiet / load / animation state, and webRequest supplies in-flight requests.
+// If the document goes away meanwhile (navigation), the wait continues in the new document.
+const SETTLE_DEFAULT_MAX_MS = 5000;
+const SETTLE_QUIET_MS = 300;
+const SETTLE_QUIET_SCROLL_MS = 150;
+const SETTLE_RETRY_MS = 100;
+
+function settleMaxMs(options) {
+  const v = Number(options?.settleMaxMs);
+  return Number.isFinite(v) && v > 0 ? Math.min(30000, Math.max(500, v)) : SETTLE_DEFAULT_MAX_MS;
+}
+
+// -> { settle_ms, timed_out, blocked_by }; blocked_by lists what was still pending at the timeout.
+async function waitForPageSettle(tabId, sinceMs, quietMs, maxMs) {
+  const deadline = sinceMs + maxMs;
+  const result = (timedOut, blockedBy) => ({ settle_ms: Date.now() - sinceMs, timed_out: timedOut, blocked_by: blockedBy });
+  let blockers = [];
+  while (Date.now() < deadline) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) return result(false, ["tab_closed"]);
+    let resp = null;
+    if (isInjectableUrl(tab.url)) {
+      resp = await chrome.tabs.sendMessage(tabId,
+        { type: "RECORDER_WAIT_SETTLED", sinceMs, quietMs, maxMs: deadline - Date.now() },
+        { frameId: 0 }).catch(() => null);
+    } else {
+      // no content script to ask (chrome:// pages, the web store): the tab's load state has to do
+      resp = { ok: true, blockers: tab.status === "complete" ? [] : ["loading"] };
+    }
+    blockers = resp?.ok ? [...(resp.blockers || [])] : ["navigation"];
+    if (pendingRequestCount(tabId)) blockers.push("network");
+    if (!blockers.length) return result(false, []);
+    await sleep(Math.min(SETTLE_RETRY_MS, Math.max(0, deadline - Date.now())));
+  }
+  return result(true, blockers);
+}
+
+// Persist a step with its pre observation, bump the counter and schedule the post capture.
+// windowStartMs: where this step's network window opens (defaults to the event time).
+// tabId null records a step with no page observation (annotations).
+async function recordStep(tabId, action, pre, { t_ms = null, t_iso = null, windowStartMs = null } = {}) {
+  const st = await getSettings();
+  if (!st?.isRecording || !st.episodeId) return null;
+
+  const startMs = windowStartMs ?? ((t_iso && Date.parse(t_iso)) || Date.now());
+  if (action.url && !siteDecision(action.url, await getSiteRules()).recorded) {
+    action = { ...action, url: null, off_record: true };
+  }
+
+  const quietMs = action.type === "scroll" ? SETTLE_QUIET_SCROLL_MS : SETTLE_QUIET_MS;
+  // Persist "pending" step immediately, with its post capture queued alongside;
+  // steps without a tab (annotations) have no page effect to observe
+  const stepId = uuid();
+  let queued = null;
+  const stepNumber = await idbAppendStep(st.episodeId, (n) => {
+    queued = tabId != null ? postQueueEntry(st.episodeId, n, stepId, tabId, quietMs) : null;
+    return {
+      row: {
+        step_key: stepKey(st.episodeId, n),
+        episode_id: st.episodeId,
+        step_number: n,
+        step: {
+          step_id: stepId,
+          step_number: n,
+          t_ms: t_ms ?? null,
+          t_iso: t_iso ?? null,
+          pre,
+          action,
+          post: null,
+          derived: null,
+          network: st.options?.captureNetwork && tabId != null ? { window: { start_ms: startMs, end_ms: null }, requests: [] } : null
+        }
+      },
+      queued
+    };
+  });
+
+  if (tabId != null) {
+    rememberRecentStep(tabId, { episodeId: st.episodeId, step_number: stepNumber, action, t_ms, t_iso, at: Date.now() });
+    lastStepByTab.set(tabId, {
+      episodeId: st.episodeId,
+      stepNumber,
+      actionType: action.type,
+      key: action.keys?.[0],
+      at: Date.now()
+    });
+
+    schedulePostCapture(queued);
+    await armPostQueueAlarm();
+  }
+
+  // stepCount is only shown in the popup; numbering comes from the stored steps
+  const cur = await getSettings();
+  await setSettings({ ...cur, stepCount: Math.max(cur?.stepCount || 0, stepNumber + 1), lastMessage: `Recorded step ${stepNumber}.` });
+  return stepNumber;
+}
+
+// Post captures run in memory right away, but each is also queued in the "post_queue" store
+// until its step is written. If the service worker is suspended mid-wait, the queue is picked
+// up again on startup or by the alarm; steps whose capture can't be finished are marked with
+// `unfinalized: { reason, t_iso }` instead of silently keeping post: null.
+const POST_QUEUE_ALARM = "post-queue";
+const POST_QUEUE_MAX_AGE_MS = 2 * 60 * 1000;
+
+// A later capture of the same step (after a linked navigation) supersedes one still waiting.
+// Runs and queue entries carry the step_id: a review save renumbers rows, and a capture must not
+// land in whichever step holds its old key now.
+const postCaptureRuns = new Map(); // step key -> latest run id
+let postCaptureSeq = 0;
+
+function postQueueEntry(episodeId, stepNumber, stepId, tabId, quietMs = SETTLE_QUIET_MS) {
+  return {
+    step_key: stepKey(episodeId, stepNumber),
+    episode_id: episodeId,
+    step_number: stepNumber,
+    step_id: stepId,
+    tab_id: tabId,
+    quiet_ms: quietMs,
+    queued_at: Date.now()
+  };
+}
+
+async function armPostQueueAlarm() {
+  if (!(await chrome.alarms.get(POST_QUEUE_ALARM))) {
+    await chrome.alarms.create(POST_QUEUE_ALARM, { delayInMinutes: 0.5, periodInMinutes: 0.5 });
+  }
+}
+
+// entry: a post_queue entry (postQueueEntry).
+function schedulePostCapture(entry, resumed = false) {
+  const key = entry.step_key;
+  const run = ++postCaptureSeq;
+  postCaptureRuns.set(key, run);
+  capturePostState(entry.episode_id, entry.step_number, entry.tab_id, { stepId: entry.step_id, sinceMs: Date.now(), quietMs: entry.quiet_ms, run, resumed })
+    .catch((e) => markUnfinalized(key, `capture_failed: ${String(e?.message || e)}`, entry.step_id))
+    .catch(() => {})
+    .finally(() => {
+      if (postCaptureRuns.get(key) === run) postCaptureRuns.delete(key);
+    });
+}
+
+// Records why a step has no post; steps that already have one (a failed re-capture after a
+// linked navigation) keep it. Either way the step leaves the queue.
+async function markUnfinalized(key, reason, stepId = null) {
+  await idbUpdateStep(key, (step) => {
+    if (!sameStep(step, stepId)) return false;
+    if (step.post == null) step.unfinalized = { reason, t_iso: nowIso() };
+  }, { dequeue: true });
+}
+
+// Queue entries written before step ids were recorded in them match any step.
+function sameStep(step, stepId) {
+  return !stepId || step.step_id === stepId;
+}
+
+// Runs on worker startup and from the alarm. Queued captures with no run in this worker were
+// cut off by a suspension: they are resumed if the step is still the episode's latest and its
+// tab is open, otherwise the step is marked.
+async function resumePostQueue() {
+  const entries = await idbGetAll("post_queue");
+  for (const entry of entries) {
+    const key = entry.step_key;
+    const age = Date.now() - entry.queued_at;
+    if (postCaptureRuns.has(key)) {
+      // a run that outlived any settle limit is stuck
+      if (age > POST_QUEUE_MAX_AGE_MS) {
+        postCaptureRuns.delete(key);
+        await markUnfinalized(key, "timed_out", entry.step_id);
+      }
+      continue;
+    }
+    const row = await idbGet("steps", key);
+    if (!row || row.step.post || !sameStep(row.step, entry.step_id)) {
+      await idbDelete("post_queue", key);
+      continue;
+    }
+    const tab = await chrome.tabs.get(entry.tab_id).catch(() => null);
+    if (!tab) await markUnfinalized(key, "tab_closed", entry.step_id);
+    else if (age > POST_QUEUE_MAX_AGE_MS) await markUnfinalized(key, "expired", entry.step_id);
+    else if ((await idbLastStepNumber(entry.episode_id)) > entry.step_number) await markUnfinalized(key, "superseded", entry.step_id);
+    else schedulePostCapture(entry, true);
+  }
+  if (!entries.length) await chrome.alarms.clear(POST_QUEUE_ALARM);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === POST_QUEUE_ALARM) resumePostQueue().catch(() => {});
+});
+
+async function capturePostState(episodeId, stepNumber, tabId, { stepId, sinceMs, quietMs, run, resumed = false }) {
+  const key = stepKey(episodeId, stepNumber);
+  const st = await getSettings();
+  // It's okay if recording stopped; still finalize the step if episode matches
+  if (!st?.episodeId || st.episodeId !== episodeId) {
+    await markUnfinalized(key, "episode_closed", stepId);
+    return;
+  }
+  const pending = await idbGet("steps", key);
+  if (!pending || !sameStep(pending.step, stepId)) {
+    await idbDelete("post_queue", key);
+    return;
+  }
+
+  const settle = await waitForPageSettle(tabId, sinceMs, quietMs, settleMaxMs(st.options));
+  if (resumed) settle.resumed = true;
+  if (postCaptureRuns.get(key) !== run) return;
+  const windowEndMs = Date.now();
+  const postFromContent = await requestPostState(tabId, !!st.options?.captureDomState);
+  const post = await buildObservation(tabId, postFromContent, st.options, cdpTargetOf(pending.step.action));
+  if (postCaptureRuns.get(key) !== run) return;
+  if (wantsFullPage(pending.step, st.options) && post.screenshot) {
+    Object.assign(post, await captureFullPage(tabId, st.options));
+    if (postCaptureRuns.get(key) !== run) return;
+  }
+
+  // Update the stored step, not the copy read above: navigations may have been linked meanwhile
+  await idbUpdateStep(key, (step) => {
+    if (!sameStep(step, stepId)) return false;
+    let requests = null;
+    if (step.network && post.off_record) {
+      requests = [];
+      step.network = { window: { ...step.network.window, end_ms: windowEndMs }, requests, off_record: true };
+    } else if (step.network) {
+      requests = requestsBetween(tabId, step.network.window.start_ms, windowEndMs);
+      step.network = { window: { ...step.network.window, end_ms: windowEndMs }, requests };
+    }
+    step.post = step.full_page_pending ? { ...post, ...step.full_page_pending } : post;
+    delete step.full_page_pending;
+    step.settle = settle;
+    step.derived = deriveStep(step.pre, step.post, requests);
+    delete step.unfinalized;
+  }, { dequeue: true });
+}
+
+// Coalescing (rules in coalesce.js): low-level events that continue one of the tab's last steps
+// rewrite that step instead of becoming steps of their own.
+const COALESCE_RECENT = 2;
+const recentSteps = new Map(); // tabId -> [{ episodeId, step_number, action, t_ms, t_iso, at }], oldest first
+
+function rememberRecentStep(tabId, entry) {
+  const kept = (recentSteps.get(tabId) || []).filter(s => s.episodeId === entry.episodeId);
+  recentSteps.set(tabId, [...kept, entry].slice(-COALESCE_RECENT));
+}
+
+// Returns the number of the step the action was merged into, or null if it wasn't.
+async function applyCoalescePlan(tabId, episodeId, plan) {
+  const key = stepKey(episodeId, plan.into);
+  let stepId = null;
+  const next = plan.postFrom != null ? await idbGet("steps", stepKey(episodeId, plan.postFrom)) : null;
+  const updated = await idbUpdateStep(key, (step) => {
+    step.action = plan.action;
+    stepId = step.step_id;
+    if (plan.postFrom == null) return;
+    // the post from before the typing would show the field unchanged
+    if (next?.step.pre) {
+      step.post = next.step.pre;
+      step.post_source = "next_step_pre";
+      step.derived = deriveStep(step.pre, step.post, step.network?.requests || null);
+      delete step.post_stale;
+      delete step.unfinalized;
+    } else {
+      step.post_stale = true;
+    }
+  }, { dequeue: plan.postFrom != null });
+  if (!updated) return null;
+  // a capture still running for the click would overwrite that post with an older page state
+  if (plan.postFrom != null) postCaptureRuns.delete(key);
+  for (const n of plan.drop) {
+    postCaptureRuns.delete(stepKey(episodeId, n));
+    await idbDeleteStep(stepKey(episodeId, n));
+  }
+
+  const now = Date.now();
+  recentSteps.set(tabId, (recentSteps.get(tabId) || [])
+    .filter(s => !plan.drop.includes(s.step_number))
+    .map(s => s.step_number === plan.into ? { ...s, action: plan.action, at: now } : s));
+  const last = lastStepByTab.get(tabId);
+  if (last?.episodeId === episodeId && (last.stepNumber === plan.into || plan.drop.includes(last.stepNumber))) {
+    lastStepByTab.set(tabId, { episodeId, stepNumber: plan.into, actionType: plan.action.type, at: now });
+  }
+
+  if (plan.recapture) {
+    const quietMs = plan.action.type === "scroll" ? SETTLE_QUIET_SCROLL_MS : SETTLE_QUIET_MS;
+    const entry = postQueueEntry(episodeId, plan.into, stepId, tabId, quietMs);
+    await idbPut("post_queue", entry);
+    schedulePostCapture(entry);
+    await armPostQueueAlarm();
+  }
+  const cur = await getSettings();
+  await setSettings({ ...cur, lastMessage: `Merged into step ${plan.into} (${plan.action.type}).` });
+  return plan.into;
+}
+
+// Step events are handled one at a time, in arrival order: coalescing looks at the steps
+// recorded just before, and one keystroke can send two events (type_text, then the key).
+let stepLock = Promise.resolve();
+
+function withStepLock(fn) {
+  const run = stepLock.then(fn);
+  stepLock = run.catch(() => {});
+  return run;
+}
+
+async function handleStepEvent(tabId, st, event) {
+  // Action (already structured)
+  let action = event.action || { type: "unknown" };
+  const held = action.segment_id ? takeTypingPre(tabId, action.segment_id) : null;
+
+  if (st.options?.coalesceSteps !== false) {
+    const incoming = { action, t_ms: event.t_ms, t_iso: event.t_iso, at: Date.now() };
+    const plan = planCoalesce(recentSteps.get(tabId) || [], incoming, await idbLastStepNumber(st.episodeId));
+    if (plan?.record) {
+      action = plan.record;
+    } else if (plan) {
+      const stepNumber = await applyCoalescePlan(tabId, st.episodeId, plan);
+      if (stepNumber != null) return { ok: true, stepNumber, coalesced: true };
+    }
+  }
+
+  // Pre state is provided by content script; enrich with tab info and screenshot (optional).
+  // type_text steps reuse the observation taken when the segment started.
+  const heldPre = held ? await held.promise : null;
+  const pre = heldPre || await buildObservation(tabId, event.pre || {}, st.options, cdpTargetOf(action));
+
+  const stepNumber = await recordStep(tabId, action, pre, {
+    t_ms: event.t_ms,
+    t_iso: event.t_iso,
+    windowStartMs: heldPre ? held.windowStartMs : null
+  });
+  if (stepNumber != null && action.type === "click") rememberClick(tabId, st.episodeId, stepNumber, event.t_ms);
+  if (stepNumber != null && action.press_t_ms?.length) {
+    await markPressSteps(tabId, st.episodeId, action.press_t_ms, stepNumber, action.type);
+  }
+  return { ok: true, stepNumber };
+}
+
+// Annotations: notes and sub-goal markers the user adds while recording (popup or keyboard
+// command). They are steps in the sequence without pre/post, mirrored in the episode's
+// `annotations`; a sub-goal runs from its marker to the step before the next one.
+const ANNOTATION_KINDS = ["note", "subgoal"];
+
+async function addAnnotation(kind, text) {
+  const st = await getSettings();
+  if (!st?.isRecording || !st.episodeId) return { ok: false, lastMessage: "Start recording before annotating." };
+  if (!ANNOTATION_KINDS.includes(kind)) return { ok: false, lastMessage: `Unknown annotation kind "${kind}".` };
+  const clean = String(text || "").trim().slice(0, 1000);
+  if (!clean) return { ok: false, lastMessage: "Annotation is empty." };
+
+  const tab = await getActiveTab();
+  const tabs = await listTabsForObservation(st.episodeId);
+  const t_iso = nowIso();
+  const action = {
+    type: "annotation",
+    kind,
+    text: clean,
+    url: tab?.url || null,
+    tab_index: tabs.find(t => t.tab_id === String(tab?.id))?.tab_index ?? null
+  };
+  const stepNumber = await recordStep(null, action, null, { t_iso });
+  if (stepNumber == null) return { ok: false, lastMessage: "Not recording." };
+
+  const ep = await idbGet("episodes", st.episodeId);
+  if (ep) {
+    ep.annotations = [...(ep.annotations || []), { step_number: stepNumber, kind, text: clean, t_iso }];
+    await idbPut("episodes", ep);
+  }
+  const label = kind === "subgoal" ? "Sub-goal marked" : "Annotation added";
+  return { ok: true, stepNumber, lastMessage: `${label} at step ${stepNumber}.` };
+}
+
+function annotationsFromSteps(steps) {
+  return steps
+    .filter(s => s.action?.type === "annotation")
+    .map(s => ({ step_number: s.step_number, kind: s.action.kind, text: s.action.text, t_iso: s.t_iso }));
+}
+
+function subgoalRanges(steps) {
+  const marks = annotationsFromSteps(steps).filter(a => a.kind === "subgoal");
+  const lastStep = steps.length ? steps[steps.length - 1].step_number : -1;
+  return marks.map((m, i) => ({
+    index: i,
+    title: m.text,
+    start_step: m.step_number,
+    end_step: i + 1 < marks.length ? marks[i + 1].step_number - 1 : lastStep
+  }));
+}
+
+// Keyboard commands open a small input overlay in the active tab; pages without a content
+// script (chrome://, the web store) can only be annotated from the popup.
+chrome.commands?.onCommand.addListener(async (command) => {
+  const kind = { "add-annotation": "note", "mark-subgoal": "subgoal" }[command];
+  if (!kind) return;
+  const st = await getSettings();
+  if (!st?.isRecording) return;
+  const tab = await getActiveTab();
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: "RECORDER_ANNOTATION_OVERLAY", kind }, { frameId: 0 });
+  } catch {
+    await setSettings({ ...st, lastMessage: "Can't show the annotation box on this page; use the popup." });
+  }
+});
+
+// Events from excluded sites collapse into one "off_record" placeholder step per visit.
+async function recordOffRecord(tabId, decision) {
+  const st = await getSettings();
+  const last = lastStepByTab.get(tabId);
+  if (last && last.episodeId === st?.episodeId && last.actionType === "off_record") {
+    const counted = await idbUpdateStep(stepKey(last.episodeId, last.stepNumber), (step) => {
+      step.action.event_count = (step.action.event_count || 1) + 1;
+    });
+    if (counted) {
+      last.at = Date.now();
+      return last.stepNumber;
+    }
+  }
+  const pre = await buildObservation(tabId, null, st?.options);
+  return await recordStep(tabId, { type: "off_record", reason: decision.reason, event_count: 1 }, pre, { t_iso: nowIso() });
+}
+
+// Navigation tracking. A navigation that commits shortly after a click or Enter step on the same
+// tab is treated as that step's consequence and attached to it rather than recorded again.
+const NAV_LINK_WINDOW_MS = 3000;
+const NAV_PRE_MAX_AGE_MS = 10000;
+const lastStepByTab = new Map(); // tabId -> { episodeId, stepNumber, actionType, key, at }
+const pendingNavPre = new Map(); // tabId -> { at, promise } from onBeforeNavigate
+const navStartedAt = new Map();  // tabId -> onBeforeNavigate timestamp (opens the network window)
+
+function classifyNavigation(details) {
+  const q = details.transitionQualifiers || [];
+  if (q.includes("forward_back")) return "back_forward";
+  if (q.includes("client_redirect")) return "redirect";
+  switch (details.transitionType) {
+    case "reload": return "reload";
+    case "form_submit": return "form_submit";
+    case "link": return "link";
+    case "typed":
+    case "generated":
+    case "keyword":
+    case "keyword_generated":
+      return "typed";
+    case "auto_bookmark": return "bookmark";
+    default:
+      return q.includes("from_address_bar") ? "typed" : (details.transitionType || "other");
+  }
+}
+
+function findCausingStep(tabId, kind, episodeId) {
+  const last = lastStepByTab.get(tabId);
+  if (!last || last.episodeId !== episodeId) return null;
+  if (Date.now() - last.at > NAV_LINK_WINDOW_MS) return null;
+  // client redirects continue whatever step started them (including a navigate step)
+  if (kind === "redirect") return last;
+  if (kind !== "link" && kind !== "form_submit") return null;
+  const causes = last.actionType === "click" || last.actionType === "submit" || (last.actionType === "key" && last.key === "Enter");
+  return causes ? last : null;
+}
+
+async function linkNavigationToStep(cause, tabId, navigation) {
+  let stepId = null;
+  const linked = await idbUpdateStep(stepKey(cause.episodeId, cause.stepNumber), (step) => {
+    step.navigations = [...(step.navigations || []), navigation];
+    stepId = step.step_id;
+  });
+  if (!linked) return;
+  // keep redirect chains attached to the same step
+  cause.at = Date.now();
+  // the step's own post capture probably ran mid-navigation; take it again on the new page
+  const entry = postQueueEntry(cause.episodeId, cause.stepNumber, stepId, tabId);
+  await idbPut("post_queue", entry);
+  schedulePostCapture(entry);
+  await armPostQueueAlarm();
+}
+
+// Replay: drive a tab through an episode's actions and report per step how the target was found.
+// Runs in the background; progress is written to the "replays" store after every step.
+const REPLAY_SETTLE_MAX_MS = 10000;
+const REPLAY_SETTLE_EXTRA_MS = 500;
+const REPLAYABLE = ["click", "dblclick", "context_click", "hover", "input", "type_text", "fill", "submit", "select", "key", "shortcut", "scroll"];
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+async function waitForTabSettled(tabId, maxMs = REPLAY_SETTLE_MAX_MS) {
+  const deadline = Date.now() + maxMs;
+  while (Date.now() < deadline) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) return false;
+    if (tab.status === "complete") {
+      await sleep(REPLAY_SETTLE_EXTRA_MS);
+      return true;
+    }
+    await sleep(200);
+  }
+  return false;
+}
+
+function sameUrl(a, b) {
+  const strip = (u) => (u || "").replace(/#.*$/, "").replace(/\/$/, "");
+  return strip(a) === strip(b);
+}
+
+async function replayNavigate(tabId, action) {
+  if (action.kind === "reload") {
+    await chrome.tabs.reload(tabId);
+    return { ok: true, strategy: "reload" };
+  }
+  if (!action.url) return { ok: false, skipped: true, error: "Navigation target is off-record." };
+  await chrome.tabs.update(tabId, { url: action.url });
+  return { ok: true, strategy: "url" };
+}
+
+// Subframe targets are addressed by their recorded frame URL (first frame whose URL matches, ignoring the hash).
+async function replayFrameId(tabId, context) {
+  if (!context || context.is_top_frame !== false) return 0;
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }).catch(() => null);
+  return (frames || []).find(f => f.frameId !== 0 && sameUrl(f.url, context.frame_url))?.frameId ?? null;
+}
+
+async function replayStep(tabId, step) {
+  const action = step.action || {};
+  if (action.type === "navigate") return await replayNavigate(tabId, action);
+  if (action.part_of) {
+    return { ok: false, skipped: true, error: `Press belongs to ${action.part_of.type} step ${action.part_of.step_number}.` };
+  }
+  if (!REPLAYABLE.includes(action.type)) {
+    return { ok: false, skipped: true, error: `Replay of "${action.type}" is not supported.` };
+  }
+  const frameId = await replayFrameId(tabId, action.target_ref?.context);
+  if (frameId == null) return { ok: false, error: "Target frame not found." };
+  try {
+    return await chrome.tabs.sendMessage(tabId, { type: "RECORDER_REPLAY_ACTION", action }, { frameId });
+  } catch (e) {
+    // the page may not have a content script yet (e.g. it loaded before the extension)
+    const inj = await ensureContentScript(tabId);
+    if (!inj.ok) return { ok: false, error: String(e) };
+    try {
+      return await chrome.tabs.sendMessage(tabId, { type: "RECORDER_REPLAY_ACTION", action }, { frameId });
+    } catch (e2) {
+      return { ok: false, error: String(e2) };
+    }
+  }
+}
+
+function replayStatus(result) {
+  if (result?.skipped) return "skipped";
+  if (!result?.ok) return "failed";
+  return result.fallback ? "fallback" : "matched";
+}
+
+async function runReplay(report) {
+  const rows = await idbGetStepsForEpisode(report.episode_id);
+  const startUrl = rows.find(r => r.step.pre?.url)?.step.pre.url || rows.find(r => r.step.action?.url)?.step.action.url;
+  if (!startUrl) {
+    Object.assign(report, { status: "failed", finished_at: nowIso(), error: "Episode has no URL to start from." });
+    await idbPut("replays", report);
+    return;
+  }
+
+  const tab = await chrome.tabs.create({ url: startUrl, active: true });
+  report.tab_id = tab.id;
+  await waitForTabSettled(tab.id);
+
+  for (const row of rows) {
+    const step = row.step;
+    const result = await replayStep(tab.id, step);
+    await waitForTabSettled(tab.id);
+    const actual = await chrome.tabs.get(tab.id).catch(() => null);
+    if (!actual) {
+      Object.assign(report, { status: "failed", error: "Replay tab was closed." });
+      break;
+    }
+    const recordedUrl = step.post?.url || null;
+    report.steps.push({
+      step_number: step.step_number,
+      action_type: step.action?.type || "unknown",
+      status: replayStatus(result),
+      strategy: result?.strategy || null,
+      error: result?.error || null,
+      recorded_post_url: recordedUrl,
+      actual_post_url: actual.url || null,
+      url_match: recordedUrl ? sameUrl(recordedUrl, actual.url) : null
+    });
+    await idbPut("replays", report);
+  }
+
+  const counts = { matched: 0, fallback: 0, failed: 0, skipped: 0 };
+  for (const s of report.steps) counts[s.status]++;
+  Object.assign(report, {
+    status: report.status === "failed" ? "failed" : "done",
+    finished_at: nowIso(),
+    summary: { ...counts, url_mismatches: report.steps.filter(s => s.url_match === false).length }
+  });
+  await idbPut("replays", report);
+}
+
+async function startReplay(episodeId) {
+  const st = await getSettings();
+  if (st?.isRecording) return { ok: false, lastMessage: "Stop recording before replaying." };
+  const ep = await idbGet("episodes", episodeId);
+  if (!ep) return { ok: false, lastMessage: "Episode not found." };
+
+  const report = {
+    replay_id: uuid(),
+    episode_id: episodeId,
+    started_at: nowIso(),
+    finished_at: null,
+    status: "running",
+    tab_id: null,
+    steps: [],
+    summary: null
+  };
+  await idbPut("replays", report);
+  runReplay(report).catch(async (e) => {
+    Object.assign(report, { status: "failed", finished_at: nowIso(), error: String(e) });
+    await idbPut("replays", report);
+  });
+  return { ok: true, replayId: report.replay_id, lastMessage: "Replay started." };
+}
+
+// Review: the page loads steps without screenshots/CDP, fetches screenshots per step, and saves
+// edits as a plan: one entry per resulting step, [{ from: [original step numbers], note }].
+// Entries with several step numbers merge them; numbers left out of the plan are deleted.
+function reviewObservation(obs) {
+  if (!obs) return obs;
+  const { screenshot, screenshot_data_url, screenshot_marked, element_crop, full_page_screenshot, cdp, ...rest } = obs;
+  return { ...rest, has_screenshot: !!screenshot };
+}
+
+async function reviewEpisode(episodeId) {
+  const ep = await idbGet("episodes", episodeId);
+  if (!ep) return { ok: false, lastMessage: "Episode not found." };
+  const st = await getSettings();
+  const rows = await idbGetStepsForEpisode(episodeId);
+  return {
+    ok: true,
+    episode: {
+      episode_id: ep.episode_id,
+      name: ep.name || defaultEpisodeName(ep.created_at),
+      tags: ep.tags || [],
+      created_at: ep.created_at,
+      task: ep.task || null,
+      is_recording: !!st?.isRecording && st.episodeId === episodeId
+    },
+    steps: rows.map(r => ({ ...r.step, pre: reviewObservation(r.step.pre), post: reviewObservation(r.step.post) }))
+  };
+}
+
+function screenshotUrl(obs) {
+  if (!obs?.screenshot) return null;
+  return obs.screenshot_data_url || `data:image/png;base64,${obs.screenshot}`;
+}
+
+async function reviewScreenshots(episodeId, stepNumber) {
+  const row = await idbGet("steps", stepKey(episodeId, stepNumber));
+  return { pre: screenshotUrl(row?.step.pre), post: screenshotUrl(row?.step.post) };
+}
+
+// Duplicates collapse into the first step's pre/action and the last step's post.
+function mergeSteps(steps) {
+  const first = steps[0];
+  const last = steps[steps.length - 1];
+  const networks = steps.map(s => s.network);
+  const network = networks.every(Boolean)
+    ? {
+        window: { start_ms: networks[0].window.start_ms, end_ms: networks[networks.length - 1].window.end_ms },
+        requests: networks.flatMap(n => n.requests || [])
+      }
+    : null;
+  const navigations = steps.flatMap(s => s.navigations || []);
+  return {
+    ...first,
+    post: last.post,
+    derived: last.post ? deriveStep(first.pre, last.post, network?.requests) : last.derived,
+    network,
+    navigations: navigations.length ? navigations : undefined,
+    merged_from: steps.flatMap(s => s.merged_from || [s.step_id])
+  };
+}
+
+// Step-number references inside actions follow the renumbering; references to deleted steps become null.
+function remapActionRefs(action, renumber) {
+  const out = { ...action };
+  if (out.caused_by_step != null) out.caused_by_step = renumber.get(out.caused_by_step) ?? null;
+  if (out.part_of) {
+    const n = renumber.get(out.part_of.step_number);
+    if (n == null) delete out.part_of;
+    else out.part_of = { ...out.part_of, step_number: n };
+  }
+  return out;
+}
+
+async function saveReviewEdits(episodeId, plan) {
+  const st = await getSettings();
+  if (st?.isRecording && st.episodeId === episodeId) {
+    return { ok: false, lastMessage: "Stop recording before editing this episode." };
+  }
+  const ep = await idbGet("episodes", episodeId);
+  if (!ep) return { ok: false, lastMessage: "Episode not found." };
+  const rows = await idbGetStepsForEpisode(episodeId);
+  const byNumber = new Map(rows.map(r => [r.step_number, r.step]));
+
+  const renumber = new Map();
+  for (const [i, entry] of (Array.isArray(plan) ? plan : []).entries()) {
+    if (!entry?.from?.length) return { ok: false, lastMessage: `Edit ${i} has no steps.` };
+    for (const n of entry.from) {
+      if (!byNumber.has(n)) return { ok: false, lastMessage: `Step ${n} no longer exists; reload the review page.` };
+      if (renumber.has(n)) return { ok: false, lastMessage: `Step ${n} is used twice.` };
+      renumber.set(n, i);
+    }
+  }
+
+  const out = plan.map((entry, i) => {
+    const parts = entry.from.map(n => byNumber.get(n));
+    const step = parts.length > 1 ? mergeSteps(parts) : { ...parts[0] };
+    step.step_number = i;
+    step.action = remapActionRefs(step.action || {}, renumber);
+    const note = String(entry.note || "").trim();
+    if (note) step.note = note;
+    else delete step.note;
+    return { step_key: stepKey(episodeId, i), episode_id: episodeId, step_number: i, step };
+  });
+  await idbReplaceSteps(episodeId, out);
+  // queued and running post captures point at the old step numbers
+  await dropPostQueue(id => id !== episodeId);
+  for (const key of postCaptureRuns.keys()) if (key.startsWith(`${episodeId}:`)) postCaptureRuns.delete(key);
+
+  ep.stats = null;
+  ep.edited_at = nowIso();
+  ep.annotations = annotationsFromSteps(out.map(r => r.step));
+  await idbPut("episodes", ep);
+  if (st?.episodeId === episodeId) await setSettings({ ...st, stepCount: out.length });
+  // in-memory step references are stale now
+  for (const [tabId, last] of lastStepByTab) if (last.episodeId === episodeId) lastStepByTab.delete(tabId);
+  for (const [tabId, clicks] of recentClicks) recentClicks.set(tabId, clicks.filter(c => c.episodeId !== episodeId));
+
+  const removed = rows.length - renumber.size;
+  const merged = renumber.size - out.length;
+  return { ok: true, stepCount: out.length, lastMessage: `Saved ${out.length} step(s) (${removed} deleted, ${merged} merged away).` };
+}
+
+onCdpDetached(async (tabId, reason) => {
+  const st = await getSettings();
+  if (!st?.isRecording) return;
+  await setSettings({ ...st, lastMessage: `CDP capture detached from tab ${tabId} (${reason}); recording continues.` });
+});
+
+// Clicks are recorded on press; when a press turns out to start a drag or a double-click, the
+// click step gets action.part_of pointing at the step that explains it (matched on t_ms).
+const recentClicks = new Map(); // tabId -> [{ episodeId, stepNumber, t_ms }]
+
+function rememberClick(tabId, episodeId, stepNumber, t_ms) {
+  recentClicks.set(tabId, [...(recentClicks.get(tabId) || []).slice(-3), { episodeId, stepNumber, t_ms }]);
+}
+
+async function markPressSteps(tabId, episodeId, pressTimes, stepNumber, type) {
+  for (const c of recentClicks.get(tabId) || []) {
+    if (c.episodeId !== episodeId || !pressTimes.includes(c.t_ms)) continue;
+    await idbUpdateStep(stepKey(episodeId, c.stepNumber), (step) => {
+      step.action = { ...step.action, part_of: { step_number: stepNumber, type } };
+    });
+  }
+}
+
+// Typing segments: tabId:segment_id -> { at, windowStartMs, promise of the pre observation }
+const typingPre = new Map();
+const TYPING_PRE_MAX_AGE_MS = 10 * 60 * 1000;
+
+function takeTypingPre(tabId, segmentId) {
+  const now = Date.now();
+  for (const [k, v] of typingPre) if (now - v.at > TYPING_PRE_MAX_AGE_MS) typingPre.delete(k);
+  const key = `${tabId}:${segmentId}`;
+  const held = typingPre.get(key) || null;
+  typingPre.delete(key);
+  return held;
+}
+
+// Core: handle RECORDER_EVENT from content script
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  (async () => {
+    const st = await getSettings();
+    if (msg?.type === "RECORDER_GET_STATUS") {
+      const resp = { ...(st || {}), redactionPolicy: await getRedactionPolicy() };
+      // content scripts ask on load; tell them how to behave on their site
+      if (sender?.tab?.url) resp.contentMode = contentModeFor(sender.tab.url, !!st?.isRecording, await getSiteRules(), st?.options);
+      sendResponse(resp);
+      return;
+    }
+    if (msg?.type === "RECORDER_SITE_STATUS") {
+      const decision = siteDecision(msg.url, await getSiteRules());
+      sendResponse({ ...decision, host: hostnameOf(msg.url), isRecording: !!st?.isRecording });
+      return;
+    }
+    if (msg?.type === "RECORDER_GET_SITE_RULES") {
+      sendResponse({ rules: await getSiteRules() });
+      return;
+    }
+    if (msg?.type === "RECORDER_SET_SITE_RULES") {
+      sendResponse(await setSiteRules(msg.rules));
+      return;
+    }
+    if (msg?.type === "RECORDER_GET_REDACTION_POLICY") {
+      const policy = await getRedactionPolicy();
+      sendResponse({ policy, ...policyStamp(policy) });
+      return;
+    }
+    if (msg?.type === "RECORDER_SET_REDACTION_POLICY") {
+      sendResponse(await setRedactionPolicy(msg.policy));
+      return;
+    }
+    if (msg?.type === "RECORDER_START") {
+      const resp = await startRecording(msg.options, null, msg.task);
+      sendResponse(resp);
+      return;
+    }
+    if (msg?.type === "RECORDER_STOP") {
+      const resp = await stopRecording();
+      sendResponse(resp);
+      return;
+    }
+    if (msg?.type === "RECORDER_CLEAR") {
+      await clearAll();
+      const resp = await getSettings();
+      sendResponse(resp);
+      return;
+    }
+    if (msg?.type === "RECORDER_SET_OPTIONS") {
+      const resp = await setOptions(msg.options);
+      sendResponse(resp);
+      return;
+    }
+    if (msg?.type === "RECORDER_EXPORT") {
+      const st2 = await getSettings();
+      const episodeId = msg.episodeId || st2?.episodeId;
+      if (!episodeId) {
+        sendResponse({ episodeId: null, stepCount: 0, lastMessage: "No episode." });
+        return;
+      }
+      const resp = await exportEpisode(episodeId, msg.format || "bundle");
+      sendResponse(resp);
+      return;
+    }
+    if (msg?.type === "RECORDER_LIBRARY_LIST") {
+      sendResponse({ episodes: await listEpisodes() });
+      return;
+    }
+    if (msg?.type === "RECORDER_EPISODE_UPDATE") {
+      sendResponse(await updateEpisode(msg.episodeId, { name: msg.name, tags: msg.tags }));
+      return;
+    }
+    if (msg?.type === "RECORDER_EPISODE_DELETE") {
+      sendResponse(await deleteEpisode(msg.episodeId));
+      return;
+    }
+    if (msg?.type === "RECORDER_IMPORT") {
+      sendResponse(await importEpisode(msg.transferId, msg.fileName, msg.onCollision));
+      return;
+    }
+    if (msg?.type === "RECORDER_FULL_PAGE") {
+      sendResponse(await captureFullPageOnDemand());
+      return;
+    }
+    if (msg?.type === "RECORDER_ANNOTATE") {
+      sendResponse(await addAnnotation(msg.kind, msg.text));
+      return;
+    }
+    if (msg?.type === "RECORDER_EPISODE_RESUME") {
+      sendResponse(await startRecording(msg.options, msg.episodeId));
+      return;
+    }
+    if (msg?.type === "RECORDER_REVIEW_GET") {
+      sendResponse(await reviewEpisode(msg.episodeId));
+      return;
+    }
+    if (msg?.type === "RECORDER_REVIEW_SCREENSHOTS") {
+      sendResponse(await reviewScreenshots(msg.episodeId, msg.stepNumber));
+      return;
+    }
+    if (msg?.type === "RECORDER_REVIEW_SAVE") {
+      sendResponse(await saveReviewEdits(msg.episodeId, msg.plan));
+      return;
+    }
+    if (msg?.type === "RECORDER_REPLAY_START") {
+      sendResponse(await startReplay(msg.episodeId));
+      return;
+    }
+    if (msg?.type === "RECORDER_REPLAY_GET") {
+      sendResponse({ report: await idbGet("replays", msg.replayId) });
+      return;
+    }
+    if (msg?.type === "RECORDER_LIBRARY_CLEANUP") {
+      sendResponse(await cleanupOrphanedSteps());
+      return;
+    }
+
+    // Step event
+    // Typing mode: the observation is taken when typing starts and held until the segment ends.
+    if (msg?.type === "RECORDER_EVENT" && msg?.event?.kind === "typing_start") {
+      const tabId = sender?.tab?.id;
+      if (!st?.isRecording || !st.episodeId || !tabId) return;
+      if (fullPageTabs.has(tabId)) {
+        sendResponse({ ok: true, ignored: "full_page_capture" });
+        return;
+      }
+      if (!siteDecision(sender.tab.url, await getSiteRules()).recorded) return;
+      const key = `${tabId}:${msg.event.segment_id}`;
+      typingPre.set(key, {
+        at: Date.now(),
+        windowStartMs: Date.now(),
+        promise: buildObservation(tabId, msg.event.pre || {}, st.options).catch(() => null)
+      });
+      sendResponse({ ok: true });
+      return;
+    }
+
+    if (msg?.type === "RECORDER_EVENT" && msg?.event?.kind === "step") {
+      if (!st?.isRecording || !st.episodeId) return;
+
+      const tabId = sender?.tab?.id;
+      if (!tabId) return;
+      if (fullPageTabs.has(tabId)) {
+        sendResponse({ ok: true, ignored: "full_page_capture" });
+        return;
+      }
+
+      const site = siteDecision(sender.tab.url, await getSiteRules());
+      if (!site.recorded) {
+        const rules = await getSiteRules();
+        const stepNumber = rules.off_record === "placeholder" ? await recordOffRecord(tabId, site) : null;
+        sendResponse({ ok: true, stepNumber, offRecord: true });
+        return;
+      }
+
+      sendResponse(await withStepLock(() => handleStepEvent(tabId, st, msg.event)));
+      return;
+    }
+  })().then(() => {
+    // keep channel open? no-op
+  }).catch((e) => {
+    try { sendResponse({ ok: false, error: String(e) }); } catch {}
+  });
+  return true; // indicate async response
+});
+
+// Capture the outgoing page before the navigation commits so navigate steps get a real pre state.
+// Skipped when a click/Enter step just happened: that navigation will be linked to the step instead.
+chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
+  if (details.frameId !== 0) return;
+  navStartedAt.set(details.tabId, details.timeStamp);
+  const st = await getSettings();
+  if (!st?.isRecording || !st.episodeId) return;
+  if (findCausingStep(details.tabId, "link", st.episodeId)) return;
+
+  const promise = (async () => {
+    const fromContent = await requestPostState(details.tabId, !!st.options?.captureDomState);
+    return await buildObservation(details.tabId, fromContent, st.options);
+  })().catch(() => null);
+  pendingNavPre.set(details.tabId, { at: Date.now(), promise });
+});
+
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+  const st = await getSettings();
+  if (!st?.isRecording || !st.episodeId) return;
+  // Only top frame navigations
+  if (details.frameId !== 0) return;
+
+  const kind = classifyNavigation(details);
+  // excluded sites leave no URL in the step, its linked navigations or the status line
+  const recorded = siteDecision(details.url, await getSiteRules()).recorded;
+  const navigation = {
+    url: recorded ? details.url : null,
+    kind,
+    transition_type: details.transitionType,
+    transition_qualifiers: details.transitionQualifiers || []
+  };
+  if (!recorded) navigation.off_record = true;
+
+  const pending = pendingNavPre.get(details.tabId);
+  pendingNavPre.delete(details.tabId);
+
+  const cause = findCausingStep(details.tabId, kind, st.episodeId);
+  if (cause) {
+    await linkNavigationToStep(cause, details.tabId, { ...navigation, t_iso: nowIso() });
+    const st2 = await getSettings();
+    await setSettings({ ...st2, lastMessage: `Navigation: ${navigation.url ?? "excluded site"} (step ${cause.stepNumber})` });
+    return;
+  }
+
+  let pre = (pending && Date.now() - pending.at < NAV_PRE_MAX_AGE_MS) ? await pending.promise : null;
+  if (!pre) {
+    // Nothing captured before commit (e.g. the old page had no content script); record what we can.
+    pre = await buildObservation(details.tabId, null, { captureDomState: false, captureScreenshots: false });
+    pre.captured_after_commit = true;
+  }
+  const windowStartMs = navStartedAt.get(details.tabId) ?? null;
+  await recordStep(details.tabId, { type: "navigate", ...navigation }, pre, { t_iso: nowIso(), windowStartMs });
+});
+
+// Tab and window lifecycle -> open_tab / switch_tab / close_tab steps.
+const TAB_OPEN_ACTIVATE_WINDOW_MS = 1000;
+const recentlyOpenedTabs = new Map(); // tabId -> opened at (ms)
+let lastTabClosedAt = 0;
+
+async function tabIndexOf(episodeId, tab) {
+  const rules = await getSiteRules();
+  return await withTabRegistry(episodeId, (reg) => registerTab(reg, tab, rules));
+}
+
+chrome.tabs.onCreated.addListener(async (tab) => {
+  const st = await getSettings();
+  if (!st?.isRecording || !st.episodeId || !tab.id) return;
+  if (isRecorderPage(tab.pendingUrl || tab.url)) return;
+  recentlyOpenedTabs.set(tab.id, Date.now());
+
+  const win = await chrome.windows.get(tab.windowId).catch(() => null);
+  const action = {
+    type: "open_tab",
+    tab_index: await tabIndexOf(st.episodeId, tab),
+    opener_tab_index: null,
+    url: tab.pendingUrl || tab.url || "",
+    window_id: tab.windowId,
+    window_type: win?.type || null
+  };
+
+  // The opener's page is what the user was looking at; observe it as the pre state.
+  let pre;
+  if (tab.openerTabId) {
+    const opener = await chrome.tabs.get(tab.openerTabId).catch(() => null);
+    if (opener) action.opener_tab_index = await tabIndexOf(st.episodeId, opener);
+    const cause = lastStepByTab.get(tab.openerTabId);
+    if (cause && cause.episodeId === st.episodeId && Date.now() - cause.at <= NAV_LINK_WINDOW_MS) {
+      action.caused_by_step = cause.stepNumber;
+    }
+    const fromContent = await requestPostState(tab.openerTabId, !!st.options?.captureDomState);
+    pre = await buildObservation(tab.openerTabId, fromContent, st.options);
+  } else {
+    pre = await buildObservation(tab.id, null, { ...st.options, captureScreenshots: false, captureDomState: false });
+  }
+
+  await withTabRegistry(st.episodeId, (reg) => { if (tab.active) reg.activeTabId = tab.id; });
+  await recordStep(tab.id, action, pre, { t_iso: nowIso() });
+});
+
+async function recordTabSwitch(tabId, reason) {
+  const st = await getSettings();
+  if (!st?.isRecording || !st.episodeId) return;
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab || isRecorderPage(tab.url)) return;
+
+  const openedAt = recentlyOpenedTabs.get(tabId);
+  const justOpened = openedAt && Date.now() - openedAt < TAB_OPEN_ACTIVATE_WINDOW_MS;
+
+  const prevTabId = await withTabRegistry(st.episodeId, (reg) => {
+    const prev = reg.activeTabId;
+    reg.activeTabId = tabId;
+    return prev;
+  });
+  // a foreground open_tab (or closing the previous tab) already explains this activation
+  const afterClose = reason === "tab_activated" && Date.now() - lastTabClosedAt < TAB_OPEN_ACTIVATE_WINDOW_MS;
+  if (prevTabId === tabId || justOpened || afterClose) return;
+
+  const prevTab = prevTabId ? await chrome.tabs.get(prevTabId).catch(() => null) : null;
+  const action = {
+    type: "switch_tab",
+    tab_index: await tabIndexOf(st.episodeId, tab),
+    from_tab_index: prevTab ? await tabIndexOf(st.episodeId, prevTab) : null,
+    window_id: tab.windowId,
+    reason
+  };
+  // pre has no page (the switch already happened); post observes the newly active tab
+  const pre = await buildObservation(tabId, null, { ...st.options, captureScreenshots: false, captureDomState: false });
+  await recordStep(tabId, action, pre, { t_iso: nowIso() });
+}
+
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  await recordTabSwitch(tabId, "tab_activated");
+});
+
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+  const win = await chrome.windows.get(windowId).catch(() => null);
+  if (!win || (win.type !== "normal" && win.type !== "popup")) return;
+  const [tab] = await chrome.tabs.query({ active: true, windowId });
+  if (tab?.id) await recordTabSwitch(tab.id, "window_focus");
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+  lastTabClosedAt = Date.now();
+  recentlyOpenedTabs.delete(tabId);
+  lastStepByTab.delete(tabId);
+  pendingNavPre.delete(tabId);
+  navStartedAt.delete(tabId);
+  forgetTab(tabId);
+  const st = await getSettings();
+  if (!st?.isRecording || !st.episodeId) return;
+
+  const known = await withTabRegistry(st.episodeId, (reg) => {
+    const entry = reg.byTabId[String(tabId)];
+    if (entry) entry.closed_at = nowIso();
+    if (reg.activeTabId === tabId) reg.activeTabId = null;
+    return entry || null;
+  });
+  if (!known) return;
+
+  const action = {
+    type: "close_tab",
+    tab_index: known.tab_index,
+    window_id: removeInfo.windowId,
+    window_closing: !!removeInfo.isWindowClosing
+  };
+  // The closed tab can't be observed; post goes to whichever tab took over.
+  const [nextTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  const observeTabId = nextTab?.id ?? tabId;
+  const pre = await buildObservation(observeTabId, null, { ...st.options, captureScreenshots: false, captureDomState: false });
+  pre.url = "";
+  pre.title = "";
+  pre.tab_index = known.tab_index;
+  pre.window_id = removeInfo.windowId;
+  await recordStep(observeTabId, action, pre, { t_iso: nowIso() });
 });
@@ -0,0 +1,115 @@
+/*
+Optional CDP capture via chrome.debugger: DOMSnapshot + full AX tree per observation.
+Attaching shows Chrome's "is debugging this browser" infobar; if the user cancels it, or the tab
+refuses attachment (chrome:// pages, another debugger already attached), capture is skipped for
+that tab and the observation carries an error instead. Recording itself is never interrupted.
+*/
+const PROTOCOL_VERSION = "1.3";
+
+const attached = new Set();    // tabIds we hold a debugger session on
+const refused = new Map();     // tabId -> { error, url }; not retried until the tab's URL changes
+let detachHandler = null;
+
+export function onCdpDetached(fn) { detachHandler = fn; }
+
+chrome.debugger.onDetach.addListener((source, reason) => {
+  const tabId = source.tabId;
+  if (!tabId || !attached.has(tabId)) return;
+  attached.delete(tabId);
+  // the user dismissed the infobar: respect that for the rest of the session, whatever the URL
+  if (reason === "canceled_by_user") refused.set(tabId, { error: "Debugger detached by user.", url: null });
+  detachHandler?.(tabId, reason);
+});
+
+async function send(tabId, method, params = {}) {
+  return await chrome.debugger.sendCommand({ tabId }, method, params);
+}
+
+async function ensureAttached(tabId, url) {
+  if (attached.has(tabId)) return { ok: true };
+  const prev = refused.get(tabId);
+  if (prev && (prev.url === null || prev.url === url)) return { ok: false, error: prev.error };
+
+  try {
+    await chrome.debugger.attach({ tabId }, PROTOCOL_VERSION);
+  } catch (e) {
+    // After a service-worker restart we lose `attached` but may still own the session.
+    try {
+      await send(tabId, "Runtime.evaluate", { expression: "1" });
+    } catch {
+      refused.set(tabId, { error: String(e), url });
+      return { ok: false, error: String(e) };
+    }
+  }
+  attached.add(tabId);
+  refused.delete(tabId);
+  await send(tabId, "DOM.enable");
+  await send(tabId, "Accessibility.enable");
+  return { ok: true };
+}
+
+export async function detachAll() {
+  for (const tabId of Array.from(attached)) {
+    attached.delete(tabId);
+    try { await chrome.debugger.detach({ tabId }); } catch {}
+  }
+  refused.clear();
+}
+
+// Full-page screenshot in one Page.captureScreenshot call (captureBeyondViewport), on a session
+// the CDP capture option already attached: it never attaches just for this, which would show the
+// debugging infobar. -> { b64, css_width, css_height, page_height } or null when not attached.
+export async function captureFullPageCdp(tabId, maxCssHeight) {
+  if (!attached.has(tabId)) return null;
+  const { cssContentSize, cssLayoutViewport } = await send(tabId, "Page.getLayoutMetrics");
+  const width = cssLayoutViewport.clientWidth;
+  const height = Math.min(cssContentSize.height, maxCssHeight);
+  const { data } = await send(tabId, "Page.captureScreenshot", {
+    format: "png",
+    captureBeyondViewport: true,
+    clip: { x: 0, y: 0, width, height, scale: 1 }
+  });
+  return { b64: data, css_width: width, css_height: height, page_height: cssContentSize.height };
+}
+
+async function resolveBackendNodeId(tabId, selectors) {
+  const expressions = [];
+  if (selectors?.css) expressions.push(`document.querySelector(${JSON.stringify(selectors.css)})`);
+  if (selectors?.xpath) {
+    expressions.push(`document.evaluate(${JSON.stringify(selectors.xpath)}, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue`);
+  }
+  for (const expression of expressions) {
+    try {
+      const { result } = await send(tabId, "Runtime.evaluate", { expression });
+      if (!result?.objectId) continue;
+      const { node } = await send(tabId, "DOM.describeNode", { objectId: result.objectId });
+      await send(tabId, "Runtime.releaseObject", { objectId: result.objectId }).catch(() => {});
+      if (node?.backendNodeId) return node.backendNodeId;
+    } catch {}
+  }
+  return null;
+}
+
+// target: the interacted element's selectors ({ css, xpath }) in the top frame, or null.
+export async function captureCdpState(tabId, { url, target } = {}) {
+  try {
+    const att = await ensureAttached(tabId, url);
+    if (!att.ok) return { error: att.error };
+    const dom_snapshot = await send(tabId, "DOMSnapshot.captureSnapshot", {
+      computedStyles: ["display", "visibility", "opacity"],
+      includeDOMRects: true
+    });
+    const { nodes } = await send(tabId, "Accessibility.getFullAXTree", {});
+    const out = { dom_snapshot, ax_tree: nodes || [] };
+    if (target) {
+      const backendNodeId = await resolveBackendNodeId(tabId, target);
+      out.interacted_backend_node_id = backendNodeId;
+      out.interacted_ax_node_id = backendNodeId != null
+        ? (out.ax_tree.find(n => n.backendDOMNodeId === backendNodeId)?.nodeId ?? null)
+        : null;
+    }
+    return out;
+  } catch (e) {
+    return { error: String(e) };
+  }
+}
@@ -0,0 +1,117 @@
+/*
+Step coalescing: merges the low-level events one human action produces into a single agent-level
+step before it is stored.
+  click on a text field, then input/type_text on it   -> fill   (a Tab that ended the typing too)
+  Enter in a single-line text field                   -> submit
+  scrolls of the same container in quick succession   -> one scroll with the summed dx/dy
+The original actions are kept, in order, as the step's action.raw_events ({ t_ms, t_iso, action }).
+planCoalesce only decides; background.js applies the plan to the stored steps.
+*/
+
+export const FILL_WINDOW_MS = 60000;
+export const SCROLL_MERGE_GAP_MS = 1000;
+
+const TEXT_INPUT_TYPES = ["", "text", "email", "search", "url", "tel", "password", "number"];
+
+function isTextField(ref, { singleLine = false } = {}) {
+  const dom = ref?.dom;
+  if (!dom) return false;
+  if (dom.tag === "input") return TEXT_INPUT_TYPES.includes(String(dom.attrs?.type || "").toLowerCase());
+  if (singleLine) return false;
+  return dom.tag === "textarea" || dom.role === "textbox";
+}
+
+function sameElement(a, b) {
+  const css = a?.dom?.selectors?.css;
+  return !!css && css === b?.dom?.selectors?.css && a.context?.frame_url === b.context?.frame_url;
+}
+
+function sameContainer(a, b) {
+  if (a.container !== b.container) return false;
+  return a.container === "window" || sameElement(a.container_ref, b.container_ref);
+}
+
+export function rawEvent(action, t_ms = null, t_iso = null) {
+  const { raw_events, ...rest } = action;
+  return { t_ms, t_iso, action: rest };
+}
+
+// Raw events of an already stored step: its own list if it was coalesced, else the step itself.
+function rawEventsOf(step) {
+  return step.action.raw_events || [rawEvent(step.action, step.t_ms, step.t_iso)];
+}
+
+function fillFrom(click, input, extra = []) {
+  const { type, raw_events, ...rest } = input.action;
+  return {
+    ...rest,
+    type: "fill",
+    pointer: click.action.pointer,
+    raw_events: [...rawEventsOf(click), rawEvent(input.action, input.t_ms, input.t_iso), ...extra]
+  };
+}
+
+// recent: the tab's last stored steps, oldest first ({ step_number, action, t_ms, t_iso, at }).
+// incoming: { action, t_ms, t_iso, at }. latestStep: the episode's last step number; only that
+// step can be deleted without leaving a gap. Returns
+//   null                                          record the incoming action as it is
+//   { record: action }                            record this action instead
+//   { into, action, recapture, drop: [numbers] }  rewrite step `into`, delete the `drop` steps
+// With postFrom set, step `into` can't be re-captured (another step came after it) and takes
+// step postFrom's pre as its post instead of keeping the one from before the typing.
+export function planCoalesce(recent, incoming, latestStep) {
+  const a = incoming.action;
+  const last = recent[recent.length - 1];
+  const before = recent[recent.length - 2];
+  const fresh = (step, ms) => !!step && incoming.at - step.at <= ms;
+
+  if (a.type === "key" && a.keys?.[0] === "Enter" && isTextField(a.target_ref, { singleLine: true })) {
+    return { record: { type: "submit", target_ref: a.target_ref, key_info: a.key_info, raw_events: [rawEvent(a, incoming.t_ms, incoming.t_iso)] } };
+  }
+
+  if ((a.type === "input" || a.type === "type_text") && isTextField(a.target_ref)) {
+    const isClickOnField = (s) => s?.action.type === "click" && !s.action.part_of && sameElement(s.action.target_ref, a.target_ref) && fresh(s, FILL_WINDOW_MS);
+    if (isClickOnField(last)) {
+      return { into: last.step_number, action: fillFrom(last, incoming), recapture: true, drop: [] };
+    }
+    // Tab pressed in the field arrives before the change event that ends the typing; if other
+    // steps came after it, it stays a step of its own after the fill
+    if (last?.action.type === "key" && last.action.keys?.[0] === "Tab" && sameElement(last.action.target_ref, a.target_ref) && isClickOnField(before)) {
+      if (last.step_number !== latestStep) return { into: before.step_number, action: fillFrom(before, incoming), recapture: false, postFrom: last.step_number, drop: [] };
+      const tab = rawEvent(last.action, last.t_ms, last.t_iso);
+      return { into: before.step_number, action: { ...fillFrom(before, incoming, [tab]), ended_by: "Tab" }, recapture: true, drop: [last.step_number] };
+    }
+    // Enter's change event comes after the submit step, whose pre shows the field filled in
+    if (last?.action.type === "submit" && sameElement(last.action.target_ref, a.target_ref) && isClickOnField(before)) {
+      return { into: before.step_number, action: fillFrom(before, incoming), recapture: false, postFrom: last.step_number, drop: [] };
+    }
+    return null;
+  }
+
+  // typing mode ends the segment before the Tab key step
+  if (a.type === "key" && a.keys?.[0] === "Tab" && last?.action.type === "fill" && sameElement(last.action.target_ref, a.target_ref) && fresh(last, FILL_WINDOW_MS)) {
+    return {
+      into: last.step_number,
+      action: { ...last.action, ended_by: "Tab", raw_events: [...rawEventsOf(last), rawEvent(a, incoming.t_ms, incoming.t_iso)] },
+      recapture: true,
+      drop: []
+    };
+  }
+
+  if (a.type === "scroll" && last?.action.type === "scroll" && sameContainer(last.action, a) && fresh(last, SCROLL_MERGE_GAP_MS)) {
+    return {
+      into: last.step_number,
+      action: {
+        ...last.action,
+        dx: (last.action.dx || 0) + (a.dx || 0),
+        dy: (last.action.dy || 0) + (a.dy || 0),
+        scroll_x: a.scroll_x,
+        scroll_y: a.scroll_y,
+        raw_events: [...rawEventsOf(last), rawEvent(a, incoming.t_ms, incoming.t_iso)]
+      },
+      recapture: true,
+      drop: []
+    };
+  }
+  return null;
+}
@@ -0,0 +1,398 @@
+/*
+Test script generation: turns an exported episode into a runnable Playwright test or Puppeteer
+script. Targets use the recorded locators that were unique at recording time, preferring
+role/name and label over test ids, text, CSS and XPath. URL/title changes seen in a step's post
+state become checks. Values the redaction policy masked are read from environment variables
+(listed at the top of the script) instead of being typed as literal "<redacted>" / "[EMAIL]".
+Actions with no faithful API mapping (tab switches, uploads, clipboard, off-record activity)
+are written as comments so the script still reads as the whole session.
+*/
+
+export const SCRIPT_TARGETS = {
+  playwright: { extension: "spec.js", label: "Playwright test" },
+  puppeteer: { extension: "puppeteer.mjs", label: "Puppeteer script" }
+};
+
+const LOCATOR_ORDER = ["role", "label", "test_id", "text", "id", "css", "xpath"];
+// "<redacted>" (sensitive fields) and policy tokens such as "[EMAIL]" or "[PHONE:1a2b3c4d]"
+const REDACTION_TOKEN = /(<redacted>|\[[A-Z_]+(?::[0-9a-f]{8})?\])/;
+
+const q = (v) => JSON.stringify(String(v ?? ""));
+// free text going into a // comment must stay on one line
+const oneLine = (v) => String(v ?? "").replace(/\s+/g, " ").trim();
+
+function pickLocator(ref) {
+  const unique = (ref?.dom?.locators || []).filter(l => l.match_count === 1);
+  for (const kind of LOCATOR_ORDER) {
+    const loc = unique.find(l => l.kind === kind);
+    if (loc) return loc;
+  }
+  const sel = ref?.dom?.selectors || {};
+  if (sel.css) return { kind: "css", value: sel.css };
+  if (sel.xpath) return { kind: "xpath", value: sel.xpath };
+  return null;
+}
+
+function describeRef(ref) {
+  if (!ref?.dom) return "element";
+  const role = ref.dom.role || ref.dom.tag;
+  return ref.dom.name ? `"${oneLine(ref.dom.name)}" (${role})` : role;
+}
+
+function envName(...parts) {
+  const clean = parts.join("_").toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 48);
+  return `EPISODE_${clean || "VALUE"}`;
+}
+
+// A recorded value -> JS expression. Masked parts become env("...") reads named after the
+// field (and the detector, when only part of the value was masked).
+function valueExpr(value, ctx, step, ref) {
+  const parts = (value == null ? "<redacted>" : String(value)).split(REDACTION_TOKEN);
+  if (parts.length === 1) return q(parts[0]);
+
+  const field = ref?.dom?.name || `step ${step.step_number}`;
+  const whole = parts.length === 3 && !parts[0] && !parts[2];
+  const pieces = parts.map((text, i) => {
+    if (i % 2 === 0) return text.replace(/[`\\$]/g, "\\$&");
+    const kind = text === "<redacted>" ? "" : text.slice(1, -1).split(":")[0];
+    const name = whole ? envName(field) : envName(field, kind || "value");
+    if (!ctx.env.has(name)) ctx.env.set(name, { step: step.step_number, field: describeRef(ref), masked: text });
+    return `\${env(${q(name)})}`;
+  });
+  return whole ? pieces[1].slice(2, -1) : "`" + pieces.join("") + "`";
+}
+
+function playwrightLocator(ref) {
+  const loc = pickLocator(ref);
+  if (!loc) return null;
+  let base = "page";
+  const chain = ref.context?.frame_chain;
+  for (const frame of chain || []) {
+    const css = [...(frame.shadow_hosts || []), frame.css].join(" ");
+    base += `.frameLocator(${q(css)})`;
+  }
+  // Playwright's CSS and role engines pierce open shadow roots, so hosts only scope CSS paths
+  const hosts = (ref.context?.shadow_hosts || []).map(h => h.css);
+  switch (loc.kind) {
+    case "role":
+      return `${base}.getByRole(${q(loc.role)}, { name: ${q(loc.value)}, exact: true })`;
+    case "label":
+      return `${base}.getByLabel(${q(loc.value)}, { exact: true })`;
+    case "test_id":
+      return loc.attr === "data-testid" ? `${base}.getByTestId(${q(loc.value)})` : `${base}.locator(${q(loc.css)})`;
+    case "text":
+      return `${base}.getByText(${q(loc.value)}, { exact: true })`;
+    case "xpath":
+      return `${base}.locator(${q(`xpath=${loc.value}`)})`;
+    default:
+      return `${base}.locator(${q([...hosts, loc.css || loc.value].join(" "))})`;
+  }
+}
+
+// Puppeteer: { frames: [css], selector } using its P-selectors (::-p-aria, ::-p-text, ::-p-xpath)
+// and ">>>" to step into shadow roots.
+function puppeteerTarget(ref) {
+  const loc = pickLocator(ref);
+  if (!loc) return null;
+  const frames = (ref.context?.frame_chain || []).map(f => [...(f.shadow_hosts || []), f.css].join(" >>> "));
+  const hosts = (ref.context?.shadow_hosts || []).map(h => h.css);
+  const attr = (v) => JSON.stringify(String(v));
+  let selector;
+  switch (loc.kind) {
+    case "role":
+      selector = `::-p-aria([name=${attr(loc.value)}][role=${attr(loc.role)}])`;
+      break;
+    case "label":
+      selector = `::-p-aria(${attr(loc.value)})`;
+      break;
+    case "text":
+      selector = `${loc.tag}::-p-text(${attr(loc.value)})`;
+      break;
+    case "xpath":
+      selector = `::-p-xpath(${attr(loc.value)})`;
+      break;
+    default:
+      selector = [...hosts, loc.css || loc.value].join(" >>> ");
+  }
+  return { frames, selector };
+}
+
+function playwrightKey(key) {
+  return key === "Ctrl" ? "Control" : key;
+}
+
+function stepComment(step) {
+  const a = step.action || {};
+  const target = a.target_ref ? ` ${describeRef(a.target_ref)}` : "";
+  return `// step ${step.step_number}: ${a.type}${target}`;
+}
+
+function postChecks(step) {
+  const diff = step.derived?.page_diff || {};
+  const url = step.navigations?.length ? step.navigations[step.navigations.length - 1].url : diff.url?.after;
+  const checks = [];
+  if (url) checks.push({ kind: "url", value: url });
+  if (diff.title?.after) checks.push({ kind: "title", value: diff.title.after });
+  return checks;
+}
+
+function firstUrl(episode) {
+  for (const step of episode.steps) {
+    const url = step.pre?.url || (step.action?.type === "navigate" ? step.action.url : null);
+    if (url && /^https?:/.test(url)) return url;
+  }
+  return null;
+}
+
+// A typed navigate step is generated as page.goto itself; the script doesn't open its URL first.
+function startsWithGoto(step, url) {
+  const a = step?.action;
+  return a?.type === "navigate" && a.url === url && !["reload", "link", "form_submit", "redirect"].includes(a.kind);
+}
+
+// One step -> lines of Playwright code (inside the test body).
+function playwrightStep(step, ctx) {
+  const a = step.action || {};
+  const lines = [stepComment(step)];
+  const el = a.target_ref ? playwrightLocator(a.target_ref) : null;
+  const need = (locator) => {
+    if (!locator) lines.push("// no usable locator was recorded for this target");
+    return !!locator;
+  };
+
+  switch (a.type) {
+    case "click":
+      if (need(el)) lines.push(`await ${el}.click();`);
+      break;
+    case "dblclick":
+      if (need(el)) lines.push(`await ${el}.dblclick();`);
+      break;
+    case "context_click":
+      if (need(el)) lines.push(`await ${el}.click({ button: "right" });`);
+      break;
+    case "hover":
+      if (need(el)) lines.push(`await ${el}.hover();`);
+      break;
+    case "input":
+    case "type_text":
+    case "fill":
+      if (need(el)) lines.push(`await ${el}.fill(${valueExpr(a.value, ctx, step, a.target_ref)});`);
+      break;
+    case "submit":
+      if (need(el)) lines.push(`await ${el}.press("Enter");`);
+      break;
+    case "select":
+      if (need(el)) lines.push(`await ${el}.selectOption(${valueExpr(a.option_value, ctx, step, a.target_ref)});`);
+      break;
+    case "key":
+      lines.push(`await page.keyboard.press(${q(a.keys?.[0])});`);
+      break;
+    case "shortcut":
+      lines.push(`await page.keyboard.press(${q((a.keys || []).map(playwrightKey).join("+"))});`);
+      break;
+    case "scroll":
+      if (a.container === "element") {
+        const box = a.container_ref ? playwrightLocator(a.container_ref) : null;
+        if (need(box)) lines.push(`await ${box}.evaluate((el) => el.scrollTo(${a.scroll_x ?? 0}, ${a.scroll_y ?? 0}));`);
+      } else {
+        lines.push(`await page.evaluate(() => window.scrollTo(${a.scroll_x ?? 0}, ${a.scroll_y ?? 0}));`);
+      }
+      break;
+    case "drag": {
+      const to = a.target_ref ? playwrightLocator(a.target_ref) : null;
+      const from = a.source_ref ? playwrightLocator(a.source_ref) : null;
+      if (from && to) lines.push(`await ${from}.dragTo(${to});`);
+      else lines.push("// drag without a recorded source and drop target; not generated");
+      break;
+    }
+    case "navigate":
+      if (a.kind === "reload") lines.push("await page.reload();");
+      else if (a.url && ["link", "form_submit", "redirect"].includes(a.kind)) lines.push(`await page.waitForURL(${q(a.url)});`);
+      else if (a.url) lines.push(`await page.goto(${q(a.url)});`);
+      else lines.push("// navigation to an off-record page");
+      return lines;
+    case "annotation":
+      return [a.kind === "subgoal" ? `// --- sub-goal: ${oneLine(a.text)}` : `// note: ${oneLine(a.text)}`];
+    default:
+      lines.push(`// ${a.type} is not generated; perform it by hand if the test depends on it`);
+      return lines;
+  }
+  for (const check of postChecks(step)) {
+    lines.push(check.kind === "url"
+      ? `await expect(page).toHaveURL(${q(check.value)});`
+      : `await expect(page).toHaveTitle(${q(check.value)});`);
+  }
+  return lines;
+}
+
+function puppeteerStep(step, ctx) {
+  const a = step.action || {};
+  const lines = [stepComment(step)];
+  const at = (ref) => {
+    const t = ref ? puppeteerTarget(ref) : null;
+    if (!t) {
+      lines.push("// no usable locator was recorded for this target");
+      return null;
+    }
+    const root = t.frames.length ? `(await frameOf(page, ${JSON.stringify(t.frames)}))` : "page";
+    return `${root}.locator(${q(t.selector)})`;
+  };
+
+  switch (a.type) {
+    case "click":
+    case "dblclick":
+    case "context_click": {
+      const el = at(a.target_ref);
+      const opts = a.type === "dblclick" ? "{ count: 2 }" : a.type === "context_click" ? "{ button: \"right\" }" : "";
+      if (el) lines.push(`await ${el}.click(${opts});`);
+      break;
+    }
+    case "hover": {
+      const el = at(a.target_ref);
+      if (el) lines.push(`await ${el}.hover();`);
+      break;
+    }
+    case "input":
+    case "type_text":
+    case "fill": {
+      const el = at(a.target_ref);
+      if (el) lines.push(`await ${el}.fill(${valueExpr(a.value, ctx, step, a.target_ref)});`);
+      break;
+    }
+    case "submit": {
+      const el = at(a.target_ref);
+      if (el) lines.push(`await (await ${el}.waitHandle()).press("Enter");`);
+      break;
+    }
+    case "select": {
+      const el = at(a.target_ref);
+      if (el) lines.push(`await (await ${el}.waitHandle()).select(${valueExpr(a.option_value, ctx, step, a.target_ref)});`);
+      break;
+    }
+    case "key":
+      lines.push(`await page.keyboard.press(${q(a.keys?.[0])});`);
+      break;
+    case "shortcut":
+      lines.push(`await pressCombo(page, ${JSON.stringify((a.keys || []).map(playwrightKey))});`);
+      break;
+    case "scroll":
+      if (a.container === "element") {
+        const el = at(a.container_ref);
+        if (el) lines.push(`await (await ${el}.waitHandle()).evaluate((el) => el.scrollTo(${a.scroll_x ?? 0}, ${a.scroll_y ?? 0}));`);
+      } else {
+        lines.push(`await page.evaluate(() => window.scrollTo(${a.scroll_x ?? 0}, ${a.scroll_y ?? 0}));`);
+      }
+      break;
+    case "navigate":
+      if (a.kind === "reload") lines.push("await page.reload();");
+      else if (a.url && ["link", "form_submit", "redirect"].includes(a.kind)) lines.push(`await waitForUrl(page, ${q(a.url)});`);
+      else if (a.url) lines.push(`await page.goto(${q(a.url)});`);
+      else lines.push("// navigation to an off-record page");
+      return lines;
+    case "annotation":
+      return [a.kind === "subgoal" ? `// --- sub-goal: ${oneLine(a.text)}` : `// note: ${oneLine(a.text)}`];
+    default:
+      lines.push(`// ${a.type} is not generated; perform it by hand if the script depends on it`);
+      return lines;
+  }
+  for (const check of postChecks(step)) {
+    lines.push(check.kind === "url" ? `await waitForUrl(page, ${q(check.value)});` : `await waitForTitle(page, ${q(check.value)});`);
+  }
+  return lines;
+}
+
+const ENV_HELPER = [
+  "function env(name) {",
+  "  const value = process.env[name];",
+  "  if (value === undefined) throw new Error(`Set ${name}: it stands in for a value that was redacted when the episode was recorded.`);",
+  "  return value;",
+  "}"
+];
+
+const PUPPETEER_HELPERS = [
+  "async function frameOf(page, chain) {",
+  "  let frame = page.mainFrame();",
+  "  for (const css of chain) frame = await (await frame.waitForSelector(css)).contentFrame();",
+  "  return frame;",
+  "}",
+  "",
+  "async function pressCombo(page, keys) {",
+  "  const key = keys[keys.length - 1];",
+  "  for (const mod of keys.slice(0, -1)) await page.keyboard.down(mod);",
+  "  await page.keyboard.press(key);",
+  "  for (const mod of keys.slice(0, -1).reverse()) await page.keyboard.up(mod);",
+  "}",
+  "",
+  "async function waitForUrl(page, url) {",
+  "  await page.waitForFunction((u) => location.href === u, { timeout: 10000 }, url);",
+  "}",
+  "",
+  "async function waitForTitle(page, title) {",
+  "  await page.waitForFunction((t) => document.title === t, { timeout: 10000 }, title);",
+  "}"
+];
+
+function header(episode, ctx, target) {
+  const lines = [
+    `// ${SCRIPT_TARGETS[target].label} generated by Episode Recorder from episode ${episode.episode_id}`,
+    `// ("${oneLine(episode.name)}", ${episode.steps.length} step(s), recorded ${episode.created_at || "at an unknown time"}).`
+  ];
+  if (episode.task?.description) lines.push(`// Task: ${oneLine(episode.task.description)}`);
+  for (const c of episode.task?.success_criteria || []) lines.push(`//   done when: ${oneLine(c)}`);
+  if (ctx.env.size) {
+    lines.push("//", "// Values redacted at recording time must be provided as environment variables:");
+    for (const [name, info] of ctx.env) lines.push(`//   ${name}  (step ${info.step}, ${info.field}, recorded as ${info.masked})`);
+  }
+  return lines;
+}
+
+const indent = (lines, pad) => lines.map(l => (l ? pad + l : l));
+
+// episode: an export-shaped episode (buildEpisodeOut). target: "playwright" | "puppeteer".
+export function generateScript(episode, target = "playwright") {
+  const ctx = { env: new Map() };
+  const steps = episode.steps.filter(s => !s.action?.part_of);
+  const stepFn = target === "puppeteer" ? puppeteerStep : playwrightStep;
+  const body = [];
+  const start = firstUrl(episode);
+  if (start && !startsWithGoto(steps[0], start)) body.push(`await page.goto(${q(start)});`, "");
+  for (const step of steps) body.push(...stepFn(step, ctx), "");
+  body.pop();
+
+  const vp = episode.steps.find(s => s.pre?.page_info?.viewport_width)?.pre.page_info;
+  const title = episode.name || `episode ${episode.episode_id}`;
+  if (target === "puppeteer") {
+    return [
+      ...header(episode, ctx, target),
+      "// Run with: node <this file> (needs the puppeteer package, v22 or later).",
+      "import puppeteer from \"puppeteer\";",
+      "",
+      ...ENV_HELPER,
+      "",
+      ...PUPPETEER_HELPERS,
+      "",
+      "const browser = await puppeteer.launch({ headless: false });",
+      "const page = await browser.newPage();",
+      ...(vp ? [`await page.setViewport({ width: ${vp.viewport_width}, height: ${vp.viewport_height} });`] : []),
+      "try {",
+      ...indent(body, "  "),
+      "} finally {",
+      "  await browser.close();",
+      "}",
+      ""
+    ].join("\n");
+  }
+  return [
+    ...header(episode, ctx, target),
+    "// Run with: npx playwright test <this file>",
+    "const { test, expect } = require(\"@playwright/test\");",
+    "",
+    ...ENV_HELPER,
+    "",
+    ...(vp ? [`test.use({ viewport: { width: ${vp.viewport_width}, height: ${vp.viewport_height} } });`, ""] : []),
+    `test(${q(title)}, async ({ page }) => {`,
+    ...indent(body, "  "),
+    "});",
+    ""
+  ].join("\n");
+}
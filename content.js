@@ -8,7 +8,10 @@ No screenshots here (background captures screenshots).
 */
 
 let __recorderEnabled = false;
+let __offRecord = false; // excluded site: report bare event types only
 let __lastSentAt = 0;
+let __redactionPolicy = EpisodeRedaction.normalizePolicy(null);
+let __typingMode = false; // record keystroke-level type_text segments instead of final-value input steps
 
 function nowMs() { return Math.floor(performance.now()); }
 function nowIso() { return new Date().toISOString(); }
@@ -17,6 +20,54 @@ function cssEscape(s) {
   try { return CSS.escape(s); } catch { return String(s).replace(/["\\]/g, "\\$&"); }
 }
 
+// Open shadow roots, collected once per task: selectors and interactables reach into them.
+let __shadowRootsCache = null;
+
+function openShadowRoots() {
+  if (__shadowRootsCache) return __shadowRootsCache;
+  const out = [];
+  const visit = (root) => {
+    for (const el of root.querySelectorAll("*")) {
+      if (el.shadowRoot) {
+        out.push(el.shadowRoot);
+        visit(el.shadowRoot);
+      }
+    }
+  };
+  visit(document);
+  __shadowRootsCache = out;
+  queueMicrotask(() => { __shadowRootsCache = null; });
+  return out;
+}
+
+// querySelectorAll over the document and every open shadow root.
+function deepQueryAll(selector) {
+  const out = [];
+  for (const root of [document, ...openShadowRoots()]) out.push(...root.querySelectorAll(selector));
+  return out;
+}
+
+function queryCss(css) {
+  try { return deepQueryAll(css); } catch { return []; }
+}
+
+// The document or shadow root the element lives in.
+function rootOf(el) {
+  const root = el.getRootNode ? el.getRootNode() : document;
+  return root instanceof ShadowRoot ? root : document;
+}
+
+// Shadow hosts around the element, outermost first.
+function shadowHosts(el) {
+  const hosts = [];
+  let root = rootOf(el);
+  while (root instanceof ShadowRoot) {
+    hosts.unshift(root.host);
+    root = rootOf(root.host);
+  }
+  return hosts;
+}
+
 function isVisible(el) {
   if (!el || el.nodeType !== 1) return false;
   const style = window.getComputedStyle(el);
@@ -40,7 +91,7 @@ function bbox(el) {
 function getLabelFromLabelFor(el) {
   const id = el.getAttribute && el.getAttribute("id");
   if (!id) return null;
-  const lab = document.querySelector(`label[for="${cssEscape(id)}"]`);
+  const lab = rootOf(el).querySelector(`label[for="${cssEscape(id)}"]`);
   const t = lab ? (lab.innerText || lab.textContent || "").trim() : "";
   return t || null;
 }
@@ -49,8 +100,9 @@ function getLabelFromAriaLabelledBy(el) {
   const ids = (el.getAttribute && el.getAttribute("aria-labelledby")) || "";
   if (!ids) return null;
   const parts = ids.split(/\s+/).map(x => x.trim()).filter(Boolean);
+  const root = rootOf(el);
   const texts = parts.map(pid => {
-    const node = document.getElementById(pid);
+    const node = root.getElementById(pid);
     return node ? (node.innerText || node.textContent || "").trim() : "";
   }).filter(Boolean);
   return texts.join(" ").trim() || null;
@@ -89,9 +141,10 @@ function accessibleName(el) {
 }
 
 function uniqueCssSelector(el) {
-  // Best-effort unique-ish selector, limited depth.
+  // Best-effort unique-ish selector, limited depth; relative to the element's own (shadow) root.
   if (!el || el.nodeType !== 1) return null;
   if (el.id) return `#${cssEscape(el.id)}`;
+  const root = rootOf(el);
 
   const parts = [];
   let cur = el;
@@ -122,7 +175,7 @@ function uniqueCssSelector(el) {
     parts.unshift(part);
     const sel = parts.join(" > ");
     try {
-      if (document.querySelectorAll(sel).length === 1) return sel;
+      if (root.querySelectorAll(sel).length === 1) return sel;
     } catch {}
     cur = cur.parentElement;
   }
@@ -131,7 +184,8 @@ function uniqueCssSelector(el) {
 }
 
 function xpathSelector(el) {
-  if (!el || el.nodeType !== 1) return null;
+  // XPath cannot cross shadow boundaries
+  if (!el || el.nodeType !== 1 || rootOf(el) !== document) return null;
   // XPath that uses ids when present; otherwise positional.
   const segments = [];
   let cur = el;
@@ -154,12 +208,230 @@ function xpathSelector(el) {
   return segments.length ? segments.join("") : null;
 }
 
+// Ranked locators: each candidate is checked against the live document when the step is recorded
+// and carries its match_count, so consumers can prefer unique, stable ones over positional paths.
+const TEST_ID_ATTRS = ["data-testid", "data-test-id", "data-test", "data-qa", "data-cy"];
+const IMPLICIT_ROLES = {
+  button: "button, input[type='button'], input[type='submit'], input[type='reset'], input[type='image']",
+  link: "a[href], area[href]",
+  textbox: "input:not([type]), input[type='text'], input[type='email'], input[type='search'], input[type='tel'], input[type='url'], textarea",
+  checkbox: "input[type='checkbox']",
+  radio: "input[type='radio']",
+  combobox: "select:not([multiple])",
+  listbox: "select[multiple]",
+  spinbutton: "input[type='number']",
+  slider: "input[type='range']",
+  heading: "h1, h2, h3, h4, h5, h6",
+  img: "img[alt]:not([alt=''])"
+};
+const LOCATOR_SCORES = { test_id: 100, id: 90, role: 80, label: 75, text: 60, css: 50, xpath: 10 };
+
+// Ids, classes and test ids produced by build tools or frameworks change between builds.
+function looksGenerated(token) {
+  const t = String(token || "");
+  return /\d{3,}/.test(t) ||
+    /^(css|sc|jsx|emotion|styled|svelte)-/i.test(t) ||
+    (/[_-][a-zA-Z0-9]{5,}$/.test(t) && /\d/.test(t.slice(-6))) ||
+    /^:r[0-9a-z]+:$/.test(t);
+}
+
+function implicitRole(el) {
+  const explicit = el.getAttribute("role");
+  if (explicit) return explicit.trim().split(/\s+/)[0];
+  for (const [role, sel] of Object.entries(IMPLICIT_ROLES)) {
+    try { if (el.matches(sel)) return role; } catch {}
+  }
+  return null;
+}
+
+function elementsWithRole(role) {
+  const sel = [`[role="${cssEscape(role)}"]`, IMPLICIT_ROLES[role]].filter(Boolean).join(", ");
+  return queryCss(sel).filter(el => implicitRole(el) === role);
+}
+
+function labelText(el) {
+  const labelled = getLabelFromAriaLabelledBy(el) || getLabelFromLabelFor(el);
+  if (labelled) return labelled.replace(/\s+/g, " ");
+  const wrap = el.closest && el.closest("label");
+  const t = wrap ? (wrap.innerText || wrap.textContent || "").trim().replace(/\s+/g, " ") : "";
+  return t || null;
+}
+
+function visibleText(el) {
+  return (el.innerText || el.textContent || "").trim().replace(/\s+/g, " ");
+}
+
+// Class names that look hand-written, for CSS paths that survive a CSS rebuild.
+function stableClasses(el) {
+  return (el.getAttribute("class") || "").trim().split(/\s+/)
+    .filter(c => c && !looksGenerated(c))
+    .slice(0, 2);
+}
+
+// A CSS path anchored at the nearest ancestor with a stable id or test id, using stable attributes
+// and classes; :nth-of-type is only added where siblings are otherwise indistinguishable.
+// Returns { css, penalty } where penalty counts the positional and deep parts.
+function stableCssPath(el) {
+  const parts = [];
+  let penalty = 0;
+  let cur = el;
+  for (let depth = 0; cur && cur.nodeType === 1 && depth < 6; depth++) {
+    const testAttr = TEST_ID_ATTRS.find(a => cur.getAttribute(a) && !looksGenerated(cur.getAttribute(a)));
+    if (testAttr) {
+      parts.unshift(`[${testAttr}="${cssEscape(cur.getAttribute(testAttr))}"]`);
+      break;
+    }
+    if (cur.id && !looksGenerated(cur.id)) {
+      parts.unshift(`#${cssEscape(cur.id)}`);
+      break;
+    }
+    let part = cur.tagName.toLowerCase();
+    for (const a of ["name", "role", "type"]) {
+      const v = cur.getAttribute(a);
+      if (v && !looksGenerated(v)) part += `[${a}="${cssEscape(v)}"]`;
+    }
+    const cls = stableClasses(cur);
+    if (cls.length) part += "." + cls.map(cssEscape).join(".");
+    const parent = cur.parentElement;
+    if (parent) {
+      const same = Array.from(parent.children).filter(x => x !== cur && x.matches(part));
+      if (same.length) {
+        const siblings = Array.from(parent.children).filter(x => x.tagName === cur.tagName);
+        part += `:nth-of-type(${siblings.indexOf(cur) + 1})`;
+        penalty += 10;
+      }
+    }
+    parts.unshift(part);
+    if (queryCss(parts.join(" > ")).length === 1) break;
+    cur = parent;
+  }
+  penalty += Math.max(0, parts.length - 2) * 3;
+  return { css: parts.join(" > "), penalty };
+}
+
+// Candidates whose value the redaction policy would change are left out: they could never match.
+function unredacted(text, field, el) {
+  return text && redactField(text, field, el) === text ? text : null;
+}
+
+// Role, label and text locators compare names that need layout (innerText) per candidate, so
+// matching is bounded: long names and crowded documents get no such locator, a textContent check
+// (innerText never has more than it) skips most candidates cheaply, and counting stops at 2.
+const LOCATOR_TEXT_MAX = 80;
+const LOCATOR_SCAN_LIMIT = 2000;
+const NAME_ATTRS = ["aria-label", "aria-labelledby", "id", "alt", "title", "placeholder"];
+
+function squash(t) {
+  return String(t || "").replace(/\s+/g, "").toLowerCase();
+}
+
+function mayHaveText(x, needle) {
+  return squash(x.textContent).includes(needle);
+}
+
+// Names can come from attributes or other elements; only plain-text names can be pre-filtered.
+function mayHaveName(x, needle) {
+  return NAME_ATTRS.some(a => x.hasAttribute(a)) || x.matches("input, textarea") || mayHaveText(x, needle);
+}
+
+// Candidates whose nameOf equals value, at most 2 (el first when it is one of them), or null when
+// there are too many candidates to check.
+function boundedMatches(el, candidates, value, nameOf, prefilter = null) {
+  if (candidates.length > LOCATOR_SCAN_LIMIT) return null;
+  const needle = squash(value);
+  const out = candidates.includes(el) ? [el] : [];
+  for (const x of candidates) {
+    if (out.length >= 2) break;
+    if (x === el || (prefilter && !prefilter(x, needle))) continue;
+    if (nameOf(x) === value) out.push(x);
+  }
+  return out;
+}
+
+function rankedLocators(el) {
+  const out = [];
+  const add = (loc, matches, score) => {
+    out.push({ ...loc, match_count: matches.length, score: matches.includes(el) ? score : 0 });
+  };
+
+  for (const attr of TEST_ID_ATTRS) {
+    const v = el.getAttribute(attr);
+    if (!v) continue;
+    const css = `[${attr}="${cssEscape(v)}"]`;
+    add({ kind: "test_id", attr, value: v, css }, queryCss(css), LOCATOR_SCORES.test_id - (looksGenerated(v) ? 30 : 0));
+    break;
+  }
+
+  if (el.id) {
+    const css = `#${cssEscape(el.id)}`;
+    add({ kind: "id", value: el.id, css }, queryCss(css), LOCATOR_SCORES.id - (looksGenerated(el.id) ? 40 : 0));
+  }
+
+  const role = implicitRole(el);
+  const name = unredacted(accessibleName(el), "label", el);
+  if (role && name && name.length <= LOCATOR_TEXT_MAX && name !== el.tagName.toLowerCase()) {
+    const matches = boundedMatches(el, elementsWithRole(role), name, accessibleName, mayHaveName);
+    if (matches) add({ kind: "role", role, value: name }, matches, LOCATOR_SCORES.role);
+  }
+
+  if (el.matches("input, select, textarea")) {
+    const label = unredacted(labelText(el), "label", el);
+    if (label && label.length <= LOCATOR_TEXT_MAX) {
+      const matches = boundedMatches(el, queryCss("input, select, textarea"), label, labelText);
+      if (matches) add({ kind: "label", value: label }, matches, LOCATOR_SCORES.label);
+    }
+  } else {
+    // textContent first: innerText of a large container is a layout of all of it
+    const text = squash(el.textContent).length <= LOCATOR_TEXT_MAX * 4 ? unredacted(visibleText(el), "nearby_text", el) : null;
+    if (text && text.length <= LOCATOR_TEXT_MAX) {
+      const tag = el.tagName.toLowerCase();
+      const matches = boundedMatches(el, queryCss(tag), text, visibleText, mayHaveText);
+      if (matches) add({ kind: "text", tag, value: text }, matches, LOCATOR_SCORES.text);
+    }
+  }
+
+  const path = stableCssPath(el);
+  add({ kind: "css", value: path.css }, queryCss(path.css), Math.max(20, LOCATOR_SCORES.css - path.penalty));
+
+  const xpath = xpathSelector(el);
+  if (xpath) add({ kind: "xpath", value: xpath }, queryXpath(xpath), LOCATOR_SCORES.xpath);
+
+  // Unique first, then by stability score, then fewest matches.
+  return out.sort((a, b) =>
+    ((b.match_count === 1) - (a.match_count === 1)) || (b.score - a.score) || (a.match_count - b.match_count));
+}
+
+// Elements a recorded locator points at on the live page.
+function queryLocator(loc) {
+  if (loc.kind === "xpath") return queryXpath(loc.value);
+  if (loc.kind === "role") return elementsWithRole(loc.role).filter(x => accessibleName(x) === loc.value);
+  if (loc.kind === "label") return queryCss("input, select, textarea").filter(x => labelText(x) === loc.value);
+  if (loc.kind === "text") return queryCss(loc.tag).filter(x => visibleText(x) === loc.value);
+  return queryCss(loc.css || loc.value);
+}
+
+// Redaction: selector rules win over detectors and apply to the element and its descendants.
+function redactionRuleFor(el) {
+  if (!el || el.nodeType !== 1) return null;
+  for (const rule of __redactionPolicy.selector_rules) {
+    try { if (el.closest(rule.selector)) return rule; } catch {}
+  }
+  return null;
+}
+
+function redactField(text, field, el) {
+  if (text == null) return text;
+  const rule = redactionRuleFor(el);
+  return EpisodeRedaction.redactText(text, __redactionPolicy, field, rule ? { whole: true, action: rule.action } : {}).value;
+}
+
 function nearbyText(el) {
   const out = [];
   const push = (node) => {
     if (!node) return;
     const t = (node.innerText || node.textContent || "").trim().replace(/\s+/g, " ");
-    if (t) out.push(t.slice(0, 200));
+    const r = t ? redactField(t.slice(0, 200), "nearby_text", node) : null;
+    if (r) out.push(r);
   };
   push(el);
   push(el && el.parentElement);
@@ -172,9 +444,15 @@ function safeAttrs(el) {
   const attrs = {};
   if (!el || el.nodeType !== 1 || !el.getAttribute) return attrs;
   const keys = ["id","name","type","role","aria-label","aria-labelledby","aria-describedby","placeholder","href","value","data-testid"];
+  // structural attributes are kept verbatim so selectors stay usable
+  const structural = ["id","name","type","role","aria-labelledby","aria-describedby","data-testid"];
+  const sensitive = isSensitiveInput(el);
   for (const k of keys) {
     const v = el.getAttribute(k);
-    if (v && v.length <= 200) attrs[k] = v;
+    if (!v || v.length > 200) continue;
+    if (k === "value" && sensitive) continue;
+    const out = structural.includes(k) ? v : redactField(v, "attr_value", el);
+    if (out != null) attrs[k] = out;
   }
   return attrs;
 }
@@ -183,7 +461,7 @@ function elementRef(el) {
   if (!el || el.nodeType !== 1) return null;
   const tag = el.tagName.toLowerCase();
   const role = (el.getAttribute && el.getAttribute("role")) || undefined;
-  const name = accessibleName(el) || undefined;
+  const name = redactField(accessibleName(el), "label", el) || undefined;
 
   const ref = {
     dom: {
@@ -193,6 +471,7 @@ function elementRef(el) {
         css: uniqueCssSelector(el),
         xpath: xpathSelector(el)
       },
+      locators: rankedLocators(el),
       nearby_text: nearbyText(el),
       name,
       role
@@ -204,6 +483,8 @@ function elementRef(el) {
     context: {
       frame_url: location.href,
       is_top_frame: (window.top === window),
+      // css of each shadow host relative to its own root, outermost first
+      shadow_hosts: shadowHosts(el).map(h => ({ tag: h.tagName.toLowerCase(), css: uniqueCssSelector(h) }))
     }
   };
   return ref;
@@ -237,7 +518,7 @@ function pageInfo() {
 }
 
 function listInteractables(limit = 60) {
-  const candidates = Array.from(document.querySelectorAll([
+  const candidates = Array.from(deepQueryAll([
     "button",
     "a[href]",
     "input",
@@ -267,12 +548,13 @@ function listInteractables(limit = 60) {
     // Prefer visible in viewport; still allow some off-viewport but deprioritize by pushing later.
     items.push({
       tag, type: type || undefined, role: role || undefined,
-      label: name.trim().slice(0, 140),
+      label: redactField(name.trim().slice(0, 140), "label", el) ?? "",
       disabled,
       bbox: { x: r.x, y: r.y, w: r.width, h: r.height },
       selectors: { css: uniqueCssSelector(el), xpath: xpathSelector(el) },
       attrs: safeAttrs(el),
-      in_viewport: inViewport
+      in_viewport: inViewport,
+      shadow_hosts: rootOf(el) === document ? undefined : shadowHosts(el).map(h => uniqueCssSelector(h))
     });
 
     if (items.length >= limit * 2) break;
@@ -300,6 +582,38 @@ function listInteractables(limit = 60) {
   };
 }
 
+// Transient UI the diff cares about: dialogs, toast/alert regions and validation messages.
+function listNotices(limit = 20) {
+  const out = [];
+  const seen = new Set();
+  const add = (kind, el, text) => {
+    if (!el || seen.has(el) || !isVisible(el)) return;
+    const t = (text || "").trim().replace(/\s+/g, " ");
+    if (!t) return;
+    seen.add(el);
+    out.push({ kind, text: redactField(t.slice(0, 200), "notice_text", el), css: uniqueCssSelector(el), bbox: bbox(el) });
+  };
+
+  for (const el of deepQueryAll("dialog[open], [role='dialog'], [role='alertdialog'], [aria-modal='true']")) {
+    add("dialog", el, accessibleName(el));
+  }
+  for (const el of deepQueryAll("[role='alert'], [role='status'], [aria-live='assertive'], [aria-live='polite'], [class*='toast'], [class*='snackbar']")) {
+    add("toast", el, el.innerText || el.textContent);
+  }
+  for (const el of deepQueryAll("input, select, textarea, [aria-invalid='true']")) {
+    let userInvalid = false;
+    try { userInvalid = el.matches(":user-invalid"); } catch {}
+    if (userInvalid && el.validationMessage) {
+      add("validation", el, `${accessibleName(el)}: ${el.validationMessage}`);
+    } else if (el.getAttribute("aria-invalid") === "true") {
+      const errId = el.getAttribute("aria-errormessage") || el.getAttribute("aria-describedby") || "";
+      const msgs = errId.split(/\s+/).filter(Boolean).map(id => rootOf(el).getElementById(id)?.innerText || "").filter(Boolean);
+      add("validation", el, `${accessibleName(el)}: ${msgs.join(" ") || "invalid"}`);
+    }
+  }
+  return out.slice(0, limit);
+}
+
 function isSensitiveInput(el) {
   if (!el || el.nodeType !== 1) return false;
   const tag = el.tagName.toLowerCase();
@@ -313,8 +627,54 @@ function isSensitiveInput(el) {
   return false;
 }
 
+// Viewport rects the background blacks out on screenshots: selector-rule elements, sensitive
+// inputs, inputs whose value trips a detector, and detector hits in visible text. With page, the
+// rects of the whole document's height in document coordinates (full-page screenshots).
+function redactionBoxes(limit = 300, { page = false } = {}) {
+  const boxes = [];
+  const vw = window.innerWidth;
+  const vh = window.innerHeight;
+  const dx = page ? window.scrollX : 0;
+  const dy = page ? window.scrollY : 0;
+  const push = (r) => {
+    if (boxes.length >= limit || r.width <= 0 || r.height <= 0) return;
+    if (r.right < 0 || r.left > vw || (!page && (r.bottom < 0 || r.top > vh))) return;
+    boxes.push({ x: r.x + dx, y: r.y + dy, w: r.width, h: r.height });
+  };
+
+  for (const rule of __redactionPolicy.selector_rules) {
+    try {
+      for (const el of deepQueryAll(rule.selector)) if (isVisible(el)) push(el.getBoundingClientRect());
+    } catch {}
+  }
+  for (const el of deepQueryAll("input, textarea")) {
+    if (!isVisible(el)) continue;
+    if (isSensitiveInput(el) || EpisodeRedaction.findMatches(el.value || "", __redactionPolicy).length) {
+      push(el.getBoundingClientRect());
+    }
+  }
+
+  if (!document.body) return boxes;
+  const range = document.createRange();
+  let visited = 0;
+  for (const root of [document.body, ...openShadowRoots()]) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node && visited < 5000 && boxes.length < limit; node = walker.nextNode()) {
+      visited++;
+      const parent = node.parentElement;
+      if (!parent || ["SCRIPT", "STYLE", "NOSCRIPT"].includes(parent.tagName)) continue;
+      for (const m of EpisodeRedaction.findMatches(node.data, __redactionPolicy)) {
+        range.setStart(node, m.start);
+        range.setEnd(node, m.end);
+        for (const r of range.getClientRects()) push(r);
+      }
+    }
+  }
+  return boxes;
+}
+
 function buildStateSummary({targetEl=null, captureDomState=true} = {}) {
-  const dom_state = captureDomState ? listInteractables(60) : { llm_representation: "", selector_map: {}, elements_count: 0 };
+  const dom_state = captureDomState ? { ...listInteractables(60), notices: listNotices() } : { llm_representation: "", selector_map: {}, elements_count: 0 };
   if (targetEl) {
     dom_state.interacted_element = elementRef(targetEl);
   }
@@ -328,8 +688,120 @@ function buildStateSummary({targetEl=null, captureDomState=true} = {}) {
   };
 }
 
+// Frames: a child frame learns its chain of <iframe> elements and where its viewport sits in the
+// top-level viewport by asking the parent frame's content script over postMessage (the only channel
+// that works across origins). Each parent asks its own parent first, so the offset accumulates.
+const FRAME_MSG = "__episodeRecorderFrame";
+const FRAME_TIMEOUT_MS = 500;
+const __framePending = new Map(); // request id -> resolve
+
+function frameElementFor(win) {
+  return deepQueryAll("iframe, frame").find(f => f.contentWindow === win) || null;
+}
+
+function frameRef(frame) {
+  return {
+    tag: frame.tagName.toLowerCase(),
+    css: uniqueCssSelector(frame),
+    xpath: xpathSelector(frame),
+    name: frame.getAttribute("name") || undefined,
+    src: frame.getAttribute("src") || undefined,
+    shadow_hosts: shadowHosts(frame).map(h => uniqueCssSelector(h))
+  };
+}
+
+// { chain, offset } for this frame; null when an ancestor did not answer (no content script there).
+function requestFrameContext() {
+  if (window.top === window) return Promise.resolve({ chain: [], offset: { x: 0, y: 0 } });
+  return new Promise(resolve => {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const timer = setTimeout(() => {
+      __framePending.delete(id);
+      resolve(null);
+    }, FRAME_TIMEOUT_MS);
+    __framePending.set(id, (context) => {
+      clearTimeout(timer);
+      resolve(context);
+    });
+    window.parent.postMessage({ [FRAME_MSG]: "request", id }, "*");
+  });
+}
+
+window.addEventListener("message", async (e) => {
+  const data = e.data;
+  if (!data || typeof data !== "object" || !data[FRAME_MSG]) return;
+  if (data[FRAME_MSG] === "response") {
+    if (e.source !== window.parent) return;
+    __framePending.get(data.id)?.(data.context);
+    __framePending.delete(data.id);
+    return;
+  }
+  if (data[FRAME_MSG] !== "request") return;
+  const frame = frameElementFor(e.source);
+  if (!frame) return;
+  const own = await requestFrameContext();
+  const r = frame.getBoundingClientRect();
+  const style = getComputedStyle(frame);
+  const context = own && {
+    chain: [...own.chain, frameRef(frame)],
+    offset: {
+      x: own.offset.x + r.x + frame.clientLeft + (parseFloat(style.paddingLeft) || 0),
+      y: own.offset.y + r.y + frame.clientTop + (parseFloat(style.paddingTop) || 0)
+    }
+  };
+  e.source.postMessage({ [FRAME_MSG]: "response", id: data.id, context }, "*");
+});
+
+function shiftBox(box, offset) {
+  return box ? { ...box, x: box.x + offset.x, y: box.y + offset.y } : box;
+}
+
+// This frame's screenshot redaction boxes in top-level viewport coordinates; the background
+// merges the answers of all frames when it takes a screenshot. placed is false when the frame
+// has boxes but its position in the top-level viewport is unknown. With page, the top frame
+// reports the whole document in document coordinates and its scroll offset, by which the
+// background moves the other frames' boxes.
+async function frameRedaction(page = false) {
+  const top = window.top === window;
+  const boxes = __redactionPolicy.field_actions.screenshot !== "none" ? redactionBoxes(300, { page: page && top }) : [];
+  const context = boxes.length ? await requestFrameContext() : null;
+  return {
+    ok: true,
+    is_top_frame: top,
+    viewport: { w: window.innerWidth, h: window.innerHeight },
+    scroll: { x: window.scrollX, y: window.scrollY },
+    placed: !boxes.length || !!context,
+    boxes: context ? boxes.map(b => shiftBox(b, context.offset)) : []
+  };
+}
+
+// Moves a subframe event's bboxes into top-level viewport coordinates so they line up with the
+// screenshot; the frame-relative box is kept as layout.frame_bbox.
+function applyFrameContext(event, context) {
+  const refs = [event.action?.target_ref, event.pre?.dom_state?.interacted_element].filter(Boolean);
+  for (const ref of refs) {
+    ref.context.frame_chain = context ? context.chain : null;
+    if (!context) continue;
+    ref.layout.frame_bbox = ref.layout.bbox;
+    ref.layout.bbox = shiftBox(ref.layout.bbox, context.offset);
+    ref.layout.frame_offset = context.offset;
+  }
+  const pre = event.pre;
+  if (!pre || !context) return;
+  pre.frame_chain = context.chain;
+  pre.frame_offset = context.offset;
+  for (const it of Object.values(pre.dom_state?.selector_map || {})) it.bbox = shiftBox(it.bbox, context.offset);
+  for (const n of pre.dom_state?.notices || []) n.bbox = shiftBox(n.bbox, context.offset);
+}
+
 async function sendEvent(payload) {
   if (!__recorderEnabled) return;
+  if (__offRecord && payload?.type === "RECORDER_EVENT") {
+    const ev = payload.event || {};
+    payload = { type: "RECORDER_EVENT", event: { kind: ev.kind, action: { type: ev.action?.type }, t_iso: ev.t_iso } };
+  } else if (window.top !== window && payload?.event) {
+    applyFrameContext(payload.event, await requestFrameContext());
+  }
   try {
     await chrome.runtime.sendMessage(payload);
   } catch (e) {
@@ -385,12 +857,41 @@ function shouldRecordKey(e) {
   return ["Enter","Escape","Tab"].includes(e.key);
 }
 
+// Keyboard shortcuts: Ctrl/Meta combos, Alt combos with non-character keys, and F-keys.
+// Copy/cut/paste combos are left to the clipboard steps.
+function isShortcut(e) {
+  if (["Control", "Shift", "Alt", "Meta", "AltGraph"].includes(e.key)) return false;
+  if (e.getModifierState?.("AltGraph")) return false;
+  if (e.ctrlKey || e.metaKey) return !(!e.altKey && ["c", "x", "v"].includes(e.key.toLowerCase()));
+  if (e.altKey) return e.key.length > 1;
+  return /^F\d{1,2}$/.test(e.key);
+}
+
+function shortcutCombo(e) {
+  const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  return [...keyInfo(e).modifiers, key].join("+");
+}
+
 // Event listeners
+function sendStep(action, pre, t_ms = nowMs(), t_iso = nowIso()) {
+  sendEvent({ type: "RECORDER_EVENT", event: { kind: "step", action, pre, t_ms, t_iso } });
+}
+
+// Left-button presses are recorded as clicks right away (so the pre state predates the click);
+// a press that turns out to start a drag or a double-click is flagged by the background later,
+// matched on press_t_ms.
+const DRAG_MIN_PX = 12;
+let __press = null;      // { target, pre, x, y, t_ms, t_iso } while the left button is down
+let __recentPresses = []; // t_ms of the last two presses, for dblclick
+
 function onPointerDown(e) {
   if (!__recorderEnabled) return;
+  cancelHover();
+  rememberScrollPositions(resolveTargetFromEvent(e));
   if (e.button !== 0) return;
   const target = resolveTargetFromEvent(e);
   if (!target) return;
+  if (__typing && !__typing.el.contains(target)) endTyping("pointer");
 
   const captureDomState = true;
   const pre = buildStateSummary({targetEl: target, captureDomState});
@@ -399,6 +900,10 @@ function onPointerDown(e) {
     pointer: pointerInfo(e),
     target_ref: elementRef(target)
   };
+  const t_ms = nowMs();
+  const t_iso = nowIso();
+  __press = { target, pre, x: e.clientX, y: e.clientY, t_ms, t_iso, html5: false };
+  __recentPresses = [...__recentPresses.slice(-1), t_ms];
 
   sendEvent({
     type: "RECORDER_EVENT",
@@ -407,35 +912,262 @@ function onPointerDown(e) {
       action: act,
       pre,
       // post is captured later (background requests)
-      t_ms: nowMs(),
-      t_iso: nowIso()
+      t_ms,
+      t_iso
     }
   });
 }
 
+// Pointer drags (sliders, canvas, custom drag libraries); HTML5 drag-and-drop is handled by onDrop.
+function onPointerUp(e) {
+  const press = __press;
+  __press = null;
+  if (!__recorderEnabled || !press || press.html5 || e.button !== 0) return;
+  if (Math.hypot(e.clientX - press.x, e.clientY - press.y) < DRAG_MIN_PX) return;
+  // selecting text is not a drag
+  if (!document.getSelection()?.isCollapsed && !press.target.closest?.("[draggable='true']")) return;
+  const dropTarget = document.elementFromPoint(e.clientX, e.clientY) || resolveTargetFromEvent(e);
+  sendStep({
+    type: "drag",
+    method: "pointer",
+    source_ref: elementRef(press.target),
+    target_ref: dropTarget ? elementRef(dropTarget) : null,
+    from: { x: press.x, y: press.y },
+    pointer: pointerInfo(e),
+    press_t_ms: [press.t_ms]
+  }, press.pre, press.t_ms, press.t_iso);
+}
+
+function onDragStart() {
+  if (__press) __press.html5 = true;
+}
+
+function fileInfo(el) {
+  return (f) => ({ name: redactField(f.name, "input_value", el), size: f.size, type: f.type || null });
+}
+
+function onDrop(e) {
+  if (!__recorderEnabled) return;
+  const target = resolveTargetFromEvent(e);
+  const files = Array.from(e.dataTransfer?.files || []);
+  const press = __press?.html5 ? __press : null;
+  __press = null;
+  if (files.length) {
+    // dropped from outside the page
+    sendStep({ type: "upload", method: "drop", target_ref: target ? elementRef(target) : null, files: files.map(fileInfo(target)) },
+      buildStateSummary({targetEl: target, captureDomState: true}));
+    return;
+  }
+  if (!press) return;
+  sendStep({
+    type: "drag",
+    method: "html5",
+    source_ref: elementRef(press.target),
+    target_ref: target ? elementRef(target) : null,
+    from: { x: press.x, y: press.y },
+    pointer: pointerInfo(e),
+    press_t_ms: [press.t_ms]
+  }, press.pre, press.t_ms, press.t_iso);
+}
+
+function onDblClick(e) {
+  if (!__recorderEnabled) return;
+  const target = resolveTargetFromEvent(e);
+  if (!target) return;
+  sendStep({
+    type: "dblclick",
+    pointer: pointerInfo(e),
+    target_ref: elementRef(target),
+    press_t_ms: __recentPresses.slice()
+  }, buildStateSummary({targetEl: target, captureDomState: true}));
+}
+
+function onContextMenu(e) {
+  if (!__recorderEnabled) return;
+  const target = resolveTargetFromEvent(e);
+  if (!target) return;
+  sendStep({
+    type: "context_click",
+    pointer: pointerInfo(e),
+    target_ref: elementRef(target)
+  }, buildStateSummary({targetEl: target, captureDomState: true}));
+}
+
+// Hover: dwelling on a menu-like element is recorded when it visibly expands something
+// (aria-expanded flips to true, or more interactables are visible in the element and the popup it
+// controls than when the pointer arrived). Pointer entry only counts that small scope; the page
+// state is built once the dwell confirms a hover.
+const HOVER_DWELL_MS = 600;
+const HOVER_CANDIDATES = [
+  "[aria-haspopup]:not([aria-haspopup='false'])",
+  "[aria-expanded]",
+  "[role='menuitem']",
+  "nav li",
+  "[class*='dropdown']",
+  "[class*='menu']"
+].join(",");
+const HOVER_REVEAL_ITEMS = "a[href], button, input, select, [role='menuitem'], [role='link'], [role='button']";
+const HOVER_REVEAL_SCAN = 200;
+let __hover = null; // { el, expanded, count, timer, since }
+
+function cancelHover() {
+  if (!__hover) return;
+  clearTimeout(__hover.timer);
+  __hover = null;
+}
+
+// Visible interactables in el, the elements its aria-controls names and its next sibling (the
+// usual trigger + menu pair), looking at no more than HOVER_REVEAL_SCAN of them.
+function revealCount(el) {
+  const scope = [el, el.nextElementSibling];
+  const root = rootOf(el);
+  for (const id of (el.getAttribute("aria-controls") || "").split(/\s+/).filter(Boolean)) scope.push(root.getElementById(id));
+  let scanned = 0;
+  let count = 0;
+  for (const node of scope) {
+    if (!node || node.nodeType !== 1) continue;
+    for (const x of node.querySelectorAll(HOVER_REVEAL_ITEMS)) {
+      if (++scanned > HOVER_REVEAL_SCAN) return count;
+      if (isVisible(x)) count++;
+    }
+  }
+  return count;
+}
+
+function checkHover() {
+  const h = __hover;
+  if (!h || !__recorderEnabled) return;
+  let hovered = false;
+  try { hovered = h.el.matches(":hover"); } catch {}
+  if (!hovered) return cancelHover();
+  const count = revealCount(h.el);
+  const expanded = h.el.getAttribute("aria-expanded") === "true" && h.expanded !== "true";
+  if (!expanded && count <= h.count) return;
+  sendStep({
+    type: "hover",
+    target_ref: elementRef(h.el),
+    dwell_ms: Math.round(performance.now() - h.since),
+    revealed_count: Math.max(0, count - h.count),
+    aria_expanded: expanded
+  }, buildStateSummary({targetEl: h.el, captureDomState: true}), h.t_ms, h.t_iso);
+}
+
+function onPointerOver(e) {
+  if (!__recorderEnabled || e.pointerType === "touch" || e.buttons) return;
+  const el = resolveTargetFromEvent(e)?.closest?.(HOVER_CANDIDATES);
+  if (!el || __hover?.el === el) return;
+  cancelHover();
+  __hover = {
+    el,
+    expanded: el.getAttribute("aria-expanded"),
+    count: revealCount(el),
+    since: performance.now(),
+    t_ms: nowMs(),
+    t_iso: nowIso(),
+    timer: setTimeout(checkHover, HOVER_DWELL_MS)
+  };
+}
+
+function onPointerOut(e) {
+  if (__hover && !__hover.el.contains(e.relatedTarget)) cancelHover();
+}
+
+// Clipboard: copied/cut text is the selection, pasted text comes from the event; both go through
+// the redaction policy's clipboard_text field.
+function selectedText(target) {
+  if (target && (target.tagName === "INPUT" || target.tagName === "TEXTAREA") && typeof target.selectionStart === "number") {
+    return target.value.slice(target.selectionStart, target.selectionEnd);
+  }
+  return String(document.getSelection() || "");
+}
+
+function onClipboard(e) {
+  if (!__recorderEnabled) return;
+  const target = resolveTargetFromEvent(e);
+  const raw = e.type === "paste" ? (e.clipboardData?.getData("text/plain") || "") : selectedText(target);
+  const files = e.type === "paste" ? Array.from(e.clipboardData?.files || []) : [];
+  if (!raw && !files.length) return;
+  const text = isSensitiveInput(target) ? "<redacted>" : redactField(raw.slice(0, 2000), "clipboard_text", target);
+  sendStep({
+    type: e.type,
+    target_ref: target ? elementRef(target) : null,
+    text,
+    text_length: raw.length,
+    files: files.length ? files.map(fileInfo(target)) : undefined
+  }, buildStateSummary({targetEl: target, captureDomState: true}));
+}
+
+// Scroll: the window or whichever element scrolled. Baselines for element containers are taken
+// on wheel/touch/pointer/key input, since the first scroll event arrives after the first move.
 let __scrollTimer = null;
-let __lastScrollY = window.scrollY;
+let __scrollContainer = null;
+const __scrollPositions = new WeakMap(); // window or element -> { x, y } at the last recorded scroll
+__scrollPositions.set(window, { x: window.scrollX, y: window.scrollY });
+
+function scrollPos(c) {
+  return c === window ? { x: window.scrollX, y: window.scrollY } : { x: c.scrollLeft, y: c.scrollTop };
+}
+
+function rememberScrollPositions(el) {
+  let cur = el;
+  for (let depth = 0; cur && depth < 30; depth++) {
+    if (cur.nodeType === 1 && !__scrollPositions.has(cur) &&
+        (cur.scrollHeight > cur.clientHeight || cur.scrollWidth > cur.clientWidth)) {
+      __scrollPositions.set(cur, scrollPos(cur));
+    }
+    cur = cur.parentElement || (cur.getRootNode?.() instanceof ShadowRoot ? cur.getRootNode().host : null);
+  }
+}
+
+function onScrollInput(e) {
+  if (__recorderEnabled) rememberScrollPositions(resolveTargetFromEvent(e));
+}
+
+function flushScroll() {
+  clearTimeout(__scrollTimer);
+  const c = __scrollContainer;
+  __scrollContainer = null;
+  if (!c || !__recorderEnabled) return;
+  const now = scrollPos(c);
+  const prev = __scrollPositions.get(c) || now;
+  __scrollPositions.set(c, now);
+  const dx = now.x - prev.x;
+  const dy = now.y - prev.y;
+  if (!dx && !dy) return;
+
+  const pre = buildStateSummary({targetEl: null, captureDomState: false});
+  const act = {
+    type: "scroll",
+    dx,
+    dy,
+    container: c === window ? "window" : "element",
+    container_ref: c === window ? null : elementRef(c),
+    scroll_x: now.x,
+    scroll_y: now.y
+  };
+  sendEvent({
+    type: "RECORDER_EVENT",
+    event: {
+      kind: "step",
+      action: act,
+      pre,
+      t_ms: nowMs(),
+      t_iso: nowIso()
+    }
+  });
+}
 
 function onScroll(e) {
   if (!__recorderEnabled) return;
+  // the full-page capture's own scrolling
+  if (__fullPageCapture) return;
+  const t = e.target;
+  const container = (t === document || t === document.documentElement || t === document.scrollingElement) ? window : t;
+  if (container !== window && container?.nodeType !== 1) return;
+  if (__scrollContainer && __scrollContainer !== container) flushScroll();
+  __scrollContainer = container;
   if (__scrollTimer) clearTimeout(__scrollTimer);
-  __scrollTimer = setTimeout(() => {
-    const dy = window.scrollY - __lastScrollY;
-    __lastScrollY = window.scrollY;
-
-    const pre = buildStateSummary({targetEl: null, captureDomState: false});
-    const act = { type: "scroll", dx: 0, dy };
-    sendEvent({
-      type: "RECORDER_EVENT",
-      event: {
-        kind: "step",
-        action: act,
-        pre,
-        t_ms: nowMs(),
-        t_iso: nowIso()
-      }
-    });
-  }, 250);
+  __scrollTimer = setTimeout(flushScroll, 250);
 }
 
 let __focusPre = null;
@@ -463,6 +1195,19 @@ function onChange(e) {
   const isTextInput = tag === "input" || tag === "textarea" || target.isContentEditable;
 
   if (!isSelect && !isTextInput) return;
+  if (tag === "input" && (target.getAttribute("type") || "").toLowerCase() === "file") {
+    sendStep({ type: "upload", method: "picker", target_ref: elementRef(target), files: Array.from(target.files || []).map(fileInfo(target)) },
+      (__focusEl === target && __focusPre) ? __focusPre : buildStateSummary({targetEl: target, captureDomState: true}));
+    return;
+  }
+  if (isTextInput && __typingMode) {
+    if (__typing?.el === target) {
+      endTyping("change");
+      return;
+    }
+    // already recorded as a type_text segment
+    if (__typedValues.get(target) === rawValue(target)) return;
+  }
 
   const pre = (__focusEl === target && __focusPre) ? __focusPre : buildStateSummary({targetEl: target, captureDomState: true});
 
@@ -470,10 +1215,11 @@ function onChange(e) {
   if (isSelect) {
     const opt = target.options && target.selectedIndex >= 0 ? target.options[target.selectedIndex] : null;
     value = opt ? (opt.value || opt.textContent || "").trim() : null;
+    value = redactField(value, "input_value", target);
   } else {
     if (isSensitiveInput(target)) value = "<redacted>";
-    else if (target.isContentEditable) value = (target.innerText || "").trim().slice(0, 2000);
-    else value = (target.value || "").toString().slice(0, 2000);
+    else if (target.isContentEditable) value = redactField((target.innerText || "").trim().slice(0, 2000), "input_value", target);
+    else value = redactField((target.value || "").toString().slice(0, 2000), "input_value", target);
   }
 
   const act = isSelect
@@ -495,12 +1241,161 @@ function onChange(e) {
   });
 }
 
+// Typing mode: beforeinput opens a segment on a text field (the pre state is taken right then,
+// before the first character lands), input/composition events append timed keystrokes, and the
+// segment becomes one type_text step when the field blurs, a click or recorded key happens, or
+// typing pauses for TYPING_IDLE_MS.
+const TYPING_IDLE_MS = 1500;
+const MAX_KEYSTROKES = 2000;
+let __typing = null;
+const __typedValues = new WeakMap(); // field -> raw value when its last segment ended
+
+function isTextField(el) {
+  if (!el || el.nodeType !== 1) return false;
+  if (el.isContentEditable || el.tagName === "TEXTAREA") return true;
+  if (el.tagName !== "INPUT") return false;
+  const type = (el.getAttribute("type") || "text").toLowerCase();
+  return ["text", "search", "email", "url", "tel", "password", "number"].includes(type);
+}
+
+function rawValue(el) {
+  return String((el.isContentEditable ? el.innerText : el.value) || "").slice(0, 2000);
+}
+
+function typingEvent(type, data) {
+  if (!__typing || __typing.keystrokes.length >= MAX_KEYSTROKES) return;
+  __typing.keystrokes.push({ t_ms: Math.round(performance.now() - __typing.startedAt), input_type: type, data: data ?? null });
+}
+
+// The field's value after each edit: a card number typed and then deleted again never shows in
+// the final value, but its keystrokes would still spell it out.
+function checkRunningValue() {
+  if (__typing.redacts) return;
+  const raw = rawValue(__typing.el);
+  __typing.redacts = redactField(raw, "input_value", __typing.el) !== raw;
+}
+
+function armTypingIdle() {
+  clearTimeout(__typing.idleTimer);
+  if (__typing.composing) return;
+  __typing.idleTimer = setTimeout(() => endTyping("idle"), TYPING_IDLE_MS);
+}
+
+function startTyping(el) {
+  const pre = buildStateSummary({targetEl: el, captureDomState: true});
+  __typing = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    el,
+    pre,
+    startedAt: performance.now(),
+    t_ms: nowMs(),
+    t_iso: nowIso(),
+    initial: rawValue(el),
+    keystrokes: [],
+    redacts: false,
+    composing: false,
+    idleTimer: null
+  };
+  sendEvent({ type: "RECORDER_EVENT", event: { kind: "typing_start", segment_id: __typing.id, pre, t_ms: __typing.t_ms, t_iso: __typing.t_iso } });
+}
+
+function endTyping(reason) {
+  const seg = __typing;
+  if (!seg) return;
+  __typing = null;
+  clearTimeout(seg.idleTimer);
+  const el = seg.el;
+  const raw = rawValue(el);
+  __typedValues.set(el, raw);
+  if (!seg.keystrokes.length) return;
+
+  const sensitive = isSensitiveInput(el);
+  const value = sensitive ? "<redacted>" : redactField(raw, "input_value", el);
+  const initial = sensitive ? "<redacted>" : redactField(seg.initial, "input_value", el);
+  // individual characters would spell out a value the policy redacts, at any point of the segment
+  // or in what was inserted (pasted chunks)
+  const inserted = seg.keystrokes.map(k => k.data ?? "").join("");
+  const hideData = sensitive || seg.redacts || value !== raw || initial !== seg.initial ||
+    redactField(inserted, "input_value", el) !== inserted;
+  const keystrokes = seg.keystrokes.map(k => (hideData && k.data != null ? { ...k, data: "<redacted>" } : k));
+
+  sendEvent({
+    type: "RECORDER_EVENT",
+    event: {
+      kind: "step",
+      action: {
+        type: "type_text",
+        segment_id: seg.id,
+        target_ref: elementRef(el),
+        initial_value: initial,
+        value,
+        keystrokes,
+        keystroke_count: keystrokes.filter(k => !k.input_type.startsWith("composition")).length,
+        deletions: keystrokes.filter(k => k.input_type.startsWith("delete")).length,
+        composed: keystrokes.some(k => k.input_type === "compositionend"),
+        duration_ms: Math.round(performance.now() - seg.startedAt),
+        ended_by: reason
+      },
+      pre: seg.pre,
+      t_ms: seg.t_ms,
+      t_iso: seg.t_iso
+    }
+  });
+}
+
+// Opens (or continues) the segment for the field an editing event targets; false if not a text field.
+function ensureTyping(e) {
+  if (!__recorderEnabled || !__typingMode) return false;
+  const target = resolveTargetFromEvent(e);
+  const field = target?.isContentEditable ? target.closest("[contenteditable]:not([contenteditable='false'])") || target : target;
+  if (!isTextField(field)) return false;
+  if (__typing && __typing.el !== field) endTyping("refocus");
+  if (!__typing) startTyping(field);
+  return true;
+}
+
+function onBeforeInput(e) {
+  ensureTyping(e);
+}
+
+function onInput(e) {
+  if (!__typing || !__typing.el.contains(resolveTargetFromEvent(e))) return;
+  typingEvent(e.inputType || "insertText", e.data);
+  checkRunningValue();
+  armTypingIdle();
+}
+
+// compositionstart comes before the first beforeinput of an IME sequence
+function onCompositionStart(e) {
+  if (!ensureTyping(e)) return;
+  __typing.composing = true;
+  clearTimeout(__typing.idleTimer);
+  typingEvent("compositionstart", null);
+}
+
+function onCompositionEnd(e) {
+  if (!__typing || !__typing.el.contains(resolveTargetFromEvent(e))) return;
+  __typing.composing = false;
+  typingEvent("compositionend", e.data);
+  checkRunningValue();
+  armTypingIdle();
+}
+
+function onFocusOut(e) {
+  if (__typing && __typing.el === resolveTargetFromEvent(e)) endTyping("blur");
+}
+
 function onKeyDown(e) {
   if (!__recorderEnabled) return;
-  if (!shouldRecordKey(e)) return;
+  rememberScrollPositions(resolveTargetFromEvent(e));
+  const shortcut = !shouldRecordKey(e) && isShortcut(e);
+  if (!shouldRecordKey(e) && !shortcut) return;
+  endTyping("key");
   const target = resolveTargetFromEvent(e);
   const pre = buildStateSummary({targetEl: target, captureDomState: false});
-  const act = { type: "key", keys: [e.key], target_ref: target ? elementRef(target) : null, key_info: keyInfo(e) };
+  const act = shortcut
+    ? { type: "shortcut", keys: [...keyInfo(e).modifiers, e.key], combo: shortcutCombo(e), target_ref: target ? elementRef(target) : null, key_info: keyInfo(e) }
+    : { type: "key", keys: [e.key], target_ref: target ? elementRef(target) : null, key_info: keyInfo(e) };
   sendEvent({
     type: "RECORDER_EVENT",
     event: {
@@ -513,15 +1408,419 @@ function onKeyDown(e) {
   });
 }
 
+// Replay: resolve a recorded target_ref on the live page, then perform the recorded action.
+// Unique hits on recorded locators or css/xpath count as "matched"; anything else is a scored
+// fallback on name/role/text.
+function uniqueMatch(list) {
+  return list.length === 1 ? list[0] : null;
+}
+
+// Follows recorded shadow hosts (each css relative to its own root) down to the target's root.
+function queryThroughHosts(hosts, css) {
+  if (!hosts?.length) return queryCss(css);
+  let root = document;
+  for (const h of hosts) {
+    let found = [];
+    try { found = Array.from(root.querySelectorAll(h.css || h)); } catch {}
+    root = uniqueMatch(found)?.shadowRoot;
+    if (!root) return [];
+  }
+  try { return Array.from(root.querySelectorAll(css)); } catch { return []; }
+}
+
+function queryXpath(xpath) {
+  try {
+    const r = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    const out = [];
+    for (let i = 0; i < r.snapshotLength; i++) out.push(r.snapshotItem(i));
+    return out;
+  } catch {
+    return [];
+  }
+}
+
+function fallbackScore(el, dom) {
+  let score = 0;
+  const name = accessibleName(el);
+  if (dom.name && name === dom.name) score += 3;
+  else if (dom.name && name && (name.includes(dom.name) || dom.name.includes(name))) score += 1;
+  if (dom.role && el.getAttribute("role") === dom.role) score += 1;
+  for (const k of ["id", "name", "data-testid"]) {
+    if (dom.attrs?.[k] && el.getAttribute(k) === dom.attrs[k]) score += 2;
+  }
+  const near = nearbyText(el);
+  score += Math.min(2, (dom.nearby_text || []).filter(t => near.includes(t)).length);
+  return score;
+}
+
+function resolveReplayTarget(ref) {
+  const dom = ref?.dom;
+  if (!dom) return { el: null, error: "No target_ref recorded." };
+  const sel = dom.selectors || {};
+
+  // locators that were unique when recorded, in their recorded rank
+  for (const loc of dom.locators || []) {
+    if (loc.match_count !== 1 || !loc.score) continue;
+    const hit = uniqueMatch(queryLocator(loc));
+    if (hit) return { el: hit, strategy: `locator:${loc.kind}`, fallback: false };
+  }
+
+  const byCss = sel.css ? queryThroughHosts(ref.context?.shadow_hosts, sel.css) : [];
+  const cssHit = uniqueMatch(byCss);
+  if (cssHit) return { el: cssHit, strategy: "css", fallback: false };
+  const byXpath = sel.xpath ? queryXpath(sel.xpath) : [];
+  const xpathHit = uniqueMatch(byXpath);
+  if (xpathHit) return { el: xpathHit, strategy: "xpath", fallback: false };
+
+  const pool = new Set([...byCss, ...byXpath, ...queryCss(dom.tag || "*")]);
+  let best = null;
+  let bestScore = 0;
+  for (const el of pool) {
+    if (!isVisible(el)) continue;
+    const score = fallbackScore(el, dom);
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  }
+  if (best && bestScore >= 3) return { el: best, strategy: "name_role_text", fallback: true, score: bestScore };
+  return { el: null, error: "Target not found." };
+}
+
+function setNativeValue(el, value) {
+  const proto = Object.getPrototypeOf(el);
+  const setter = Object.getOwnPropertyDescriptor(proto, "value")?.set;
+  if (setter) setter.call(el, value);
+  else el.value = value;
+  el.dispatchEvent(new Event("input", {bubbles: true}));
+  el.dispatchEvent(new Event("change", {bubbles: true}));
+}
+
+function isRedactedValue(v) {
+  return v == null || v === "<redacted>" || /^\[[A-Z_]+(?::[0-9a-f]{8})?\]$/.test(String(v));
+}
+
+function focusNext(el) {
+  const focusables = Array.from(document.querySelectorAll("a[href], button, input, select, textarea, [tabindex]:not([tabindex='-1'])"))
+    .filter(x => !x.disabled && isVisible(x));
+  const i = focusables.indexOf(el);
+  focusables[(i + 1) % focusables.length]?.focus();
+}
+
+function performReplayAction(action) {
+  if (action.type === "scroll") {
+    if (!action.container_ref) {
+      window.scrollBy(action.dx || 0, action.dy || 0);
+      return { ok: true, strategy: "window" };
+    }
+    const container = resolveReplayTarget(action.container_ref);
+    if (!container.el) return { ok: false, error: container.error || "Scroll container not found." };
+    container.el.scrollBy(action.dx || 0, action.dy || 0);
+    return { ok: true, strategy: container.strategy, fallback: !!container.fallback };
+  }
+
+  const needsTarget = !["key", "shortcut"].includes(action.type) || action.target_ref;
+  const resolved = needsTarget ? resolveReplayTarget(action.target_ref) : { el: document.activeElement, strategy: "active_element" };
+  const el = resolved.el;
+  if (!el) return { ok: false, error: resolved.error || "Target not found." };
+  const base = { ok: true, strategy: resolved.strategy, fallback: !!resolved.fallback };
+
+  el.scrollIntoView?.({block: "center", inline: "center"});
+  switch (action.type) {
+    case "click": {
+      const init = {bubbles: true, cancelable: true, composed: true, button: 0};
+      el.dispatchEvent(new PointerEvent("pointerdown", init));
+      el.dispatchEvent(new MouseEvent("mousedown", init));
+      el.dispatchEvent(new PointerEvent("pointerup", init));
+      el.dispatchEvent(new MouseEvent("mouseup", init));
+      el.click();
+      return base;
+    }
+    case "dblclick":
+    case "context_click": {
+      const init = {bubbles: true, cancelable: true, composed: true, button: action.type === "dblclick" ? 0 : 2};
+      if (action.type === "dblclick") {
+        el.click();
+        el.click();
+        el.dispatchEvent(new MouseEvent("dblclick", {...init, detail: 2}));
+      } else {
+        el.dispatchEvent(new MouseEvent("contextmenu", init));
+      }
+      return base;
+    }
+    case "hover": {
+      const init = {bubbles: true, composed: true};
+      for (const type of ["pointerover", "pointerenter", "mouseover", "mouseenter", "pointermove", "mousemove"]) {
+        el.dispatchEvent(type.startsWith("pointer") ? new PointerEvent(type, init) : new MouseEvent(type, init));
+      }
+      return base;
+    }
+    case "input":
+    case "type_text":
+    case "fill": {
+      if (isRedactedValue(action.value)) return { ...base, ok: false, skipped: true, error: "Recorded value is redacted." };
+      el.focus();
+      if (el.isContentEditable) {
+        el.innerText = action.value;
+        el.dispatchEvent(new Event("input", {bubbles: true}));
+      } else {
+        setNativeValue(el, action.value);
+      }
+      return base;
+    }
+    case "select": {
+      const opts = Array.from(el.options || []);
+      const idx = opts.findIndex(o => o.value === action.option_value || (o.textContent || "").trim() === action.option_value);
+      if (idx < 0) return { ...base, ok: false, error: `Option "${action.option_value}" not found.` };
+      el.selectedIndex = idx;
+      el.dispatchEvent(new Event("input", {bubbles: true}));
+      el.dispatchEvent(new Event("change", {bubbles: true}));
+      return base;
+    }
+    case "key":
+    case "shortcut": {
+      const key = action.type === "shortcut" ? action.key_info?.key : action.keys?.[0];
+      const mods = action.key_info?.modifiers || [];
+      el.focus?.();
+      const init = {
+        key, code: action.key_info?.code, bubbles: true, cancelable: true,
+        ctrlKey: mods.includes("Ctrl"), altKey: mods.includes("Alt"), metaKey: mods.includes("Meta"), shiftKey: mods.includes("Shift")
+      };
+      const proceed = el.dispatchEvent(new KeyboardEvent("keydown", init));
+      el.dispatchEvent(new KeyboardEvent("keyup", init));
+      // synthetic key events have no default action; emulate the ones that matter
+      if (action.type === "key" && proceed && key === "Enter" && el.form) el.form.requestSubmit();
+      if (action.type === "key" && proceed && key === "Tab") focusNext(el);
+      return base;
+    }
+    case "submit": {
+      const init = {key: "Enter", code: "Enter", bubbles: true, cancelable: true};
+      el.focus?.();
+      const proceed = el.dispatchEvent(new KeyboardEvent("keydown", init));
+      el.dispatchEvent(new KeyboardEvent("keyup", init));
+      if (proceed && el.form) el.form.requestSubmit();
+      return base;
+    }
+    default:
+      return { ok: false, skipped: true, error: `Replay of "${action.type}" is not supported.` };
+  }
+}
+
+// Annotation overlay (keyboard command): a small input in a closed shadow root. Events inside it
+// never become steps.
+let __overlayHost = null;
+
+function fromOwnUi(e) {
+  return !!__overlayHost && !!e.composedPath?.().includes(__overlayHost);
+}
+
+function ownUiGuard(fn) {
+  return (e) => {
+    if (!fromOwnUi(e)) fn(e);
+  };
+}
+
+function closeAnnotationOverlay() {
+  __overlayHost?.remove();
+  __overlayHost = null;
+}
+
+function showAnnotationOverlay(kind) {
+  closeAnnotationOverlay();
+  const host = document.createElement("div");
+  host.style.cssText = "all: initial; position: fixed; z-index: 2147483647; top: 16px; left: 50%; transform: translateX(-50%);";
+  const root = host.attachShadow({ mode: "closed" });
+  const style = document.createElement("style");
+  style.textContent = `
+    form { display: flex; gap: 8px; align-items: center; padding: 8px 10px; border-radius: 10px;
+      background: #111319; border: 1px solid #2d5cff; color: #e8e8e8; font: 13px system-ui, sans-serif;
+      box-shadow: 0 6px 24px rgba(0, 0, 0, .4); }
+    input { width: 340px; padding: 6px 8px; border-radius: 6px; border: 1px solid #2a2f3b; background: #0b0c10; color: #e8e8e8; font: inherit; }
+    span { color: #98a3b6; font-size: 11px; }`;
+  const form = document.createElement("form");
+  const label = document.createElement("b");
+  label.textContent = kind === "subgoal" ? "Sub-goal" : "Note";
+  const input = document.createElement("input");
+  input.placeholder = kind === "subgoal" ? "What are you about to do?" : "e.g. now filtering by date";
+  const hint = document.createElement("span");
+  hint.textContent = "Enter to save, Esc to cancel";
+  form.append(label, input, hint);
+  root.append(style, form);
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeAnnotationOverlay();
+  });
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const text = input.value.trim();
+    closeAnnotationOverlay();
+    if (!text) return;
+    try { await chrome.runtime.sendMessage({ type: "RECORDER_ANNOTATE", kind, text }); } catch {}
+  });
+  document.documentElement.appendChild(host);
+  __overlayHost = host;
+  input.focus();
+}
+
+// Settle detection for post capture: the background asks this (top) frame to wait until the DOM
+// has been quiet for a while, the document finished loading and no animation the action started
+// is still running. Network requests are tracked by the background (webRequest) on top of this.
+let __lastMutationAt = Date.now();
+// timeline time (performance.now) when this document finished loading; infinite animations
+// already running by then (decorative loaders, marquees) don't hold up settling
+let __loadedAt = document.readyState === "complete" ? performance.now() : null;
+const SETTLE_POLL_MS = 50;
+
+new MutationObserver(() => { __lastMutationAt = Date.now(); })
+  .observe(document.documentElement, { subtree: true, childList: true, attributes: true, characterData: true });
+window.addEventListener("load", () => { __loadedAt = performance.now(); }, { once: true });
+
+// Running animations the action could be waiting on: finite ones, and infinite ones (spinners)
+// that started after both the action and the document load.
+function blockingAnimations(sinceMs) {
+  if (!document.getAnimations) return 0;
+  const since = Math.max(sinceMs - performance.timeOrigin, __loadedAt ?? 0);
+  return document.getAnimations().filter(a => {
+    if (a.playState !== "running") return false;
+    const end = a.effect?.getComputedTiming?.().endTime;
+    if (Number.isFinite(end)) return true;
+    return a.startTime != null && a.startTime >= since;
+  }).length;
+}
+
+function settleBlockers(sinceMs, quietMs) {
+  const out = [];
+  if (Date.now() - Math.max(__lastMutationAt, sinceMs) < quietMs) out.push("dom_mutations");
+  if (document.readyState !== "complete") out.push("loading");
+  if (blockingAnimations(sinceMs)) out.push("animations");
+  return out;
+}
+
+// Resolves with { settled, blockers } once nothing blocks, or at maxMs with what still did.
+function waitForSettle(sinceMs, quietMs, maxMs) {
+  const deadline = Date.now() + maxMs;
+  return new Promise(resolve => {
+    const check = () => {
+      const blockers = settleBlockers(sinceMs, quietMs);
+      if (!blockers.length || Date.now() >= deadline) {
+        resolve({ settled: !blockers.length, blockers });
+        return;
+      }
+      setTimeout(check, SETTLE_POLL_MS);
+    };
+    check();
+  });
+}
+
+// Full-page capture: the background scrolls the top frame one viewport at a time and captures
+// each. Position: fixed/sticky elements are hidden after the first tile so headers don't repeat,
+// and the user's scroll position is restored at the end. Scroll events in between are ignored;
+// the background drops other events from the tab meanwhile. One capture at a time: a second
+// BEGIN is refused rather than losing the position to restore.
+let __fullPageCapture = null; // { x, y, hidden: [[el, inline visibility]], timer } while it runs
+// ends a capture the background never finished (service worker stopped mid-way)
+const FULL_PAGE_ABANDON_MS = 30000;
+
+function nextFrames(n = 2) {
+  return new Promise(resolve => {
+    const step = () => (n-- > 0 ? requestAnimationFrame(step) : resolve());
+    step();
+  });
+}
+
+function beginFullPageCapture() {
+  if (__fullPageCapture) return { ok: false, error: "A full-page capture is already in progress." };
+  flushScroll();
+  __fullPageCapture = { x: window.scrollX, y: window.scrollY, hidden: [], timer: setTimeout(endFullPageCapture, FULL_PAGE_ABANDON_MS) };
+  return { ok: true, ...pageInfo(), dpr: window.devicePixelRatio };
+}
+
+function hideFixedElements() {
+  for (const el of deepQueryAll("*")) {
+    const pos = getComputedStyle(el).position;
+    if (pos !== "fixed" && pos !== "sticky") continue;
+    __fullPageCapture.hidden.push([el, el.style.visibility]);
+    el.style.visibility = "hidden";
+  }
+}
+
+async function scrollForCapture(y, hideFixed) {
+  if (!__fullPageCapture) return { ok: false, error: "No full-page capture in progress." };
+  if (hideFixed && !__fullPageCapture.hidden.length) hideFixedElements();
+  window.scrollTo({ left: __fullPageCapture.x, top: y, behavior: "instant" });
+  await nextFrames();
+  return { ok: true, scroll_y: window.scrollY };
+}
+
+async function endFullPageCapture() {
+  const cap = __fullPageCapture;
+  if (!cap) return;
+  clearTimeout(cap.timer);
+  for (const [el, visibility] of cap.hidden) el.style.visibility = visibility;
+  window.scrollTo({ left: cap.x, top: cap.y, behavior: "instant" });
+  // scroll events from the restore are dispatched on the next frames
+  await nextFrames();
+  __fullPageCapture = null;
+}
+
 // Post-capture request from background
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (!msg || typeof msg !== "object") return;
   if (msg.type === "RECORDER_SET_ENABLED") {
     __recorderEnabled = !!msg.enabled;
+    __offRecord = !!msg.offRecord;
+    __typingMode = !!msg.typing;
+    if (!__recorderEnabled || !__typingMode) endTyping("stopped");
+    if (msg.redactionPolicy) __redactionPolicy = EpisodeRedaction.normalizePolicy(msg.redactionPolicy);
     sendResponse({ok: true, enabled: __recorderEnabled});
     return true;
   }
+  if (msg.type === "RECORDER_ANNOTATION_OVERLAY") {
+    if (window.top === window) showAnnotationOverlay(msg.kind);
+    sendResponse({ok: true});
+    return true;
+  }
+  if (msg.type === "RECORDER_SET_POLICY") {
+    __redactionPolicy = EpisodeRedaction.normalizePolicy(msg.redactionPolicy);
+    sendResponse({ok: true});
+    return true;
+  }
+  if (msg.type === "RECORDER_REPLAY_ACTION") {
+    let result;
+    try {
+      result = performReplayAction(msg.action || {});
+    } catch (e) {
+      result = { ok: false, error: String(e) };
+    }
+    sendResponse({ ...result, url: location.href });
+    return true;
+  }
+  if (msg.type === "RECORDER_FULL_PAGE_BEGIN") {
+    if (window.top !== window) return;
+    sendResponse(beginFullPageCapture());
+    return true;
+  }
+  if (msg.type === "RECORDER_FULL_PAGE_SCROLL") {
+    if (window.top !== window) return;
+    scrollForCapture(msg.y || 0, !!msg.hideFixed).then(sendResponse);
+    return true;
+  }
+  if (msg.type === "RECORDER_FULL_PAGE_END") {
+    if (window.top !== window) return;
+    endFullPageCapture().then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (msg.type === "RECORDER_WAIT_SETTLED") {
+    waitForSettle(msg.sinceMs || Date.now(), msg.quietMs || 0, msg.maxMs || 0)
+      .then(r => sendResponse({ ok: true, ...r, url: location.href }));
+    return true;
+  }
+  if (msg.type === "RECORDER_REDACTION_BOXES") {
+    frameRedaction(!!msg.page).then(sendResponse);
+    return true;
+  }
   if (msg.type === "RECORDER_CAPTURE_POST") {
+    if (window.top !== window) return;
     const captureDomState = !!msg.captureDomState;
     const st = buildStateSummary({targetEl: null, captureDomState});
     sendResponse({ok: true, post: st});
@@ -531,9 +1830,37 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
 // Attach listeners once
 (function attach() {
-  document.addEventListener("pointerdown", onPointerDown, {capture: true, passive: true});
-  window.addEventListener("scroll", onScroll, {capture: true, passive: true});
-  document.addEventListener("focusin", onFocusIn, {capture: true, passive: true});
-  document.addEventListener("change", onChange, {capture: true, passive: true});
-  document.addEventListener("keydown", onKeyDown, {capture: true, passive: true});
+  document.addEventListener("pointerdown", ownUiGuard(onPointerDown), {capture: true, passive: true});
+  document.addEventListener("pointerup", ownUiGuard(onPointerUp), {capture: true, passive: true});
+  document.addEventListener("pointerover", ownUiGuard(onPointerOver), {capture: true, passive: true});
+  document.addEventListener("pointerout", ownUiGuard(onPointerOut), {capture: true, passive: true});
+  document.addEventListener("dblclick", ownUiGuard(onDblClick), {capture: true, passive: true});
+  document.addEventListener("contextmenu", ownUiGuard(onContextMenu), {capture: true, passive: true});
+  document.addEventListener("dragstart", ownUiGuard(onDragStart), {capture: true, passive: true});
+  document.addEventListener("drop", ownUiGuard(onDrop), {capture: true, passive: true});
+  document.addEventListener("copy", ownUiGuard(onClipboard), {capture: true, passive: true});
+  document.addEventListener("cut", ownUiGuard(onClipboard), {capture: true, passive: true});
+  document.addEventListener("paste", ownUiGuard(onClipboard), {capture: true, passive: true});
+  document.addEventListener("wheel", ownUiGuard(onScrollInput), {capture: true, passive: true});
+  document.addEventListener("touchstart", ownUiGuard(onScrollInput), {capture: true, passive: true});
+  window.addEventListener("scroll", ownUiGuard(onScroll), {capture: true, passive: true});
+  document.addEventListener("focusin", ownUiGuard(onFocusIn), {capture: true, passive: true});
+  document.addEventListener("change", ownUiGuard(onChange), {capture: true, passive: true});
+  document.addEventListener("keydown", ownUiGuard(onKeyDown), {capture: true, passive: true});
+  document.addEventListener("beforeinput", ownUiGuard(onBeforeInput), {capture: true, passive: true});
+  document.addEventListener("input", ownUiGuard(onInput), {capture: true, passive: true});
+  document.addEventListener("compositionstart", ownUiGuard(onCompositionStart), {capture: true, passive: true});
+  document.addEventListener("compositionend", ownUiGuard(onCompositionEnd), {capture: true, passive: true});
+  document.addEventListener("focusout", ownUiGuard(onFocusOut), {capture: true, passive: true});
+})();
+
+// Documents loaded mid-recording (navigations, new tabs) start disabled; ask the background.
+(async function syncEnabled() {
+  try {
+    const st = await chrome.runtime.sendMessage({ type: "RECORDER_GET_STATUS" });
+    __recorderEnabled = st?.contentMode ? !!st.contentMode.enabled : !!st?.isRecording;
+    __offRecord = !!st?.contentMode?.offRecord;
+    __typingMode = !!st?.contentMode?.typing;
+    if (st?.redactionPolicy) __redactionPolicy = EpisodeRedaction.normalizePolicy(st.redactionPolicy);
+  } catch {}
 })();
@@ -0,0 +1,150 @@
+/*
+Screenshot rendering on OffscreenCanvas in the service worker: re-encoding captures to the
+configured format / quality / maximum width, set-of-marks overlays (the numbered [n] boxes of
+dom_state.selector_map drawn on the screenshot), crops around the interacted element, and
+stitching viewport tiles into full-page screenshots.
+Boxes are in CSS px; cssScale is image px per CSS px of the capture (the device pixel ratio).
+*/
+
+export const IMAGE_FORMATS = { png: "image/png", jpeg: "image/jpeg", webp: "image/webp" };
+
+const MIN_MAX_WIDTH = 200;
+const CROP_MARGIN_CSS_PX = 48;
+const MARK_COLORS = ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4", "#0b8f8f", "#d6249f", "#6b8e23"];
+
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+// Recording options -> { format, quality, maxWidth }; maxWidth 0 keeps the capture's width.
+export function imageSettings(options) {
+  const format = IMAGE_FORMATS[options?.screenshotFormat] ? options.screenshotFormat : "png";
+  const quality = Number(options?.screenshotQuality);
+  const maxWidth = Number(options?.screenshotMaxWidth);
+  return {
+    format,
+    quality: quality > 0 && quality <= 1 ? quality : 0.85,
+    maxWidth: maxWidth > 0 ? Math.max(MIN_MAX_WIDTH, Math.round(maxWidth)) : 0
+  };
+}
+
+export function imageExtension(format) {
+  return format === "jpeg" ? "jpg" : (IMAGE_FORMATS[format] ? format : "png");
+}
+
+export async function decodeImage(b64) {
+  return await createImageBitmap(new Blob([base64ToBytes(b64)]));
+}
+
+function outputScale(width, settings) {
+  return settings.maxWidth && width > settings.maxWidth ? settings.maxWidth / width : 1;
+}
+
+async function encodeCanvas(canvas, settings) {
+  const blob = await canvas.convertToBlob({ type: IMAGE_FORMATS[settings.format], quality: settings.quality });
+  return bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+}
+
+// Draws region (image px) of bitmap scaled down to settings.maxWidth, lets draw(ctx, scale)
+// add overlays in output px, and encodes. -> { b64, width, height, scale } (output px per image px)
+async function render(bitmap, region, settings, draw = null) {
+  const scale = outputScale(region.w, settings);
+  const width = Math.max(1, Math.round(region.w * scale));
+  const height = Math.max(1, Math.round(region.h * scale));
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, region.x, region.y, region.w, region.h, 0, 0, width, height);
+  if (draw) draw(ctx, scale);
+  return { b64: await encodeCanvas(canvas, settings), width, height, scale };
+}
+
+export async function encodeScreenshot(bitmap, settings) {
+  return await render(bitmap, { x: 0, y: 0, w: bitmap.width, h: bitmap.height }, settings);
+}
+
+// selectorMap: { [index]: { bbox: { x, y, w, h } } } in CSS px of the viewport.
+export async function markedScreenshot(bitmap, selectorMap, cssScale, settings) {
+  return await render(bitmap, { x: 0, y: 0, w: bitmap.width, h: bitmap.height }, settings, (ctx, scale) => {
+    const k = cssScale * scale;
+    const fontPx = Math.max(10, Math.round(11 * k));
+    ctx.font = `bold ${fontPx}px sans-serif`;
+    ctx.textBaseline = "top";
+    ctx.lineWidth = Math.max(1, Math.round(1.5 * k));
+    for (const [index, item] of Object.entries(selectorMap)) {
+      const b = item?.bbox;
+      if (!b || b.w <= 0 || b.h <= 0) continue;
+      const color = MARK_COLORS[Number(index) % MARK_COLORS.length];
+      const x = b.x * k, y = b.y * k, w = b.w * k, h = b.h * k;
+      ctx.strokeStyle = color;
+      ctx.strokeRect(x, y, w, h);
+      // label in the box's top-left corner, pushed inside the image at the edges
+      const label = `[${index}]`;
+      const lw = ctx.measureText(label).width + 4;
+      const lh = fontPx + 2;
+      const lx = Math.min(Math.max(0, x), ctx.canvas.width - lw);
+      const ly = y - lh >= 0 ? y - lh : Math.max(0, y);
+      ctx.fillStyle = color;
+      ctx.fillRect(lx, ly, lw, lh);
+      ctx.fillStyle = "#fff";
+      ctx.fillText(label, lx + 2, ly + 1);
+    }
+  });
+}
+
+// Crop of bbox (CSS px) plus some surroundings, clipped to the image. Returns null when the
+// element is outside the captured viewport. box is the cropped region in CSS px.
+export async function elementCrop(bitmap, bbox, cssScale, settings) {
+  if (!bbox || bbox.w <= 0 || bbox.h <= 0) return null;
+  const margin = Math.max(CROP_MARGIN_CSS_PX, Math.max(bbox.w, bbox.h) / 2);
+  const viewW = bitmap.width / cssScale;
+  const viewH = bitmap.height / cssScale;
+  const x0 = Math.max(0, bbox.x - margin);
+  const y0 = Math.max(0, bbox.y - margin);
+  const x1 = Math.min(viewW, bbox.x + bbox.w + margin);
+  const y1 = Math.min(viewH, bbox.y + bbox.h + margin);
+  if (x1 - x0 < 1 || y1 - y0 < 1) return null;
+  const region = {
+    x: Math.floor(x0 * cssScale),
+    y: Math.floor(y0 * cssScale),
+    w: Math.ceil((x1 - x0) * cssScale),
+    h: Math.ceil((y1 - y0) * cssScale)
+  };
+  region.w = Math.min(region.w, bitmap.width - region.x);
+  region.h = Math.min(region.h, bitmap.height - region.y);
+  const out = await render(bitmap, region, settings);
+  return { ...out, box: { x: region.x / cssScale, y: region.y / cssScale, w: region.w / cssScale, h: region.h / cssScale } };
+}
+
+// tiles: [{ b64, y }] viewport captures (PNG) taken at scroll offset y (CSS px), top to bottom;
+// where tiles overlap, the later one wins. cssWidth/cssHeight: the area they cover.
+// -> { b64, width, height, css_scale } (output px per CSS px)
+export async function stitchScreenshot(tiles, cssWidth, cssHeight, settings) {
+  let canvas = null, ctx = null, scale = 1, k = 1;
+  // one decoded tile at a time: a tall page at 2x is a lot of bitmaps
+  for (const t of tiles) {
+    const bitmap = await decodeImage(t.b64);
+    try {
+      if (!canvas) {
+        scale = outputScale(bitmap.width, settings);
+        k = (bitmap.width / cssWidth) * scale;
+        canvas = new OffscreenCanvas(Math.max(1, Math.round(bitmap.width * scale)), Math.max(1, Math.round(cssHeight * k)));
+        ctx = canvas.getContext("2d");
+      }
+      ctx.drawImage(bitmap, 0, Math.round(t.y * k), Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+    } finally {
+      bitmap.close();
+    }
+  }
+  return { b64: await encodeCanvas(canvas, settings), width: canvas.width, height: canvas.height, css_scale: k };
+}
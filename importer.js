@@ -0,0 +1,206 @@
+/*
+Episode import: turns an exported file (single JSON or .zip bundle) back into an episode object
+with inline screenshots/CDP, and checks its structure before anything is written.
+Problems have the shape of schema.js's export checks, { level, step_number, path, message }:
+`level` is "error" (import refused) or "warning" (imported as fixed up), `step_number` is the
+step's own number (null for episode-level problems or when it has none), `path` where in the file.
+Files from earlier versions (no name/tags/tabs/redaction, missing step_ids) import with warnings
+and are upgraded to the current schema_version; files from newer versions are refused.
+*/
+import { readZip } from "./zip.js";
+import { SCHEMA_VERSION, ACTION_TYPES, upgradeStoredEpisode } from "./schema.js";
+
+function isObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function problem(problems, level, path, message, step = null) {
+  problems.push({ level, step_number: Number.isInteger(step?.step_number) ? step.step_number : null, path, message });
+}
+
+function isZip(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function imageMime(path) {
+  if (/\.jpe?g$/i.test(path)) return "image/jpeg";
+  if (/\.webp$/i.test(path)) return "image/webp";
+  return "image/png";
+}
+
+function parseJson(bytes, what) {
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (e) {
+    throw new Error(`${what} is not valid JSON: ${e.message}`);
+  }
+}
+
+// Bundles may have been re-zipped with a top-level folder; paths are taken relative to episode.json.
+async function readBundle(bytes, problems) {
+  const files = await readZip(bytes);
+  const episodePath = [...files.keys()]
+    .filter(p => p === "episode.json" || p.endsWith("/episode.json"))
+    .sort((a, b) => a.length - b.length)[0];
+  if (!episodePath) throw new Error("The archive has no episode.json.");
+  const prefix = episodePath.slice(0, -"episode.json".length);
+  const file = (path) => files.get(prefix + path);
+
+  const manifestBytes = file("manifest.json");
+  if (manifestBytes) {
+    const manifest = parseJson(manifestBytes, "manifest.json");
+    for (const f of Array.isArray(manifest.files) ? manifest.files : []) {
+      const data = file(f.path);
+      if (!data) {
+        problem(problems, "warning", f.path, `${f.path} is listed in manifest.json but missing.`);
+      } else if (f.sha256 && await sha256Hex(data) !== f.sha256) {
+        problem(problems, "error", f.path, `${f.path} does not match its manifest.json hash.`);
+      }
+    }
+  } else {
+    problem(problems, "warning", "manifest.json", "The archive has no manifest.json; file hashes were not checked.");
+  }
+
+  const episode = parseJson(file("episode.json"), "episode.json");
+  const steps = Array.isArray(episode?.steps) ? episode.steps : [];
+  steps.forEach((step, i) => {
+    for (const phase of ["pre", "post"]) {
+      const obs = step?.[phase];
+      if (!isObject(obs)) continue;
+      if (obs.screenshot_path) {
+        const data = file(obs.screenshot_path);
+        if (data) {
+          obs.screenshot = bytesToBase64(data);
+          obs.screenshot_data_url = `data:${imageMime(obs.screenshot_path)};base64,${obs.screenshot}`;
+        } else {
+          problem(problems, "warning", `steps[${i}].${phase}.screenshot_path`, `${phase} screenshot ${obs.screenshot_path} is missing.`, step);
+        }
+        delete obs.screenshot_path;
+      }
+      const derived = [
+        ["screenshot_marked_path", "screenshot_marked", "marked screenshot"],
+        ["element_crop_path", "element_crop", "element crop"],
+        ["full_page_screenshot_path", "full_page_screenshot", "full-page screenshot"]
+      ];
+      for (const [pathKey, key, what] of derived) {
+        if (!obs[pathKey]) continue;
+        const data = file(obs[pathKey]);
+        if (data) obs[key] = bytesToBase64(data);
+        else problem(problems, "warning", `steps[${i}].${phase}.${pathKey}`, `${phase} ${what} ${obs[pathKey]} is missing.`, step);
+        delete obs[pathKey];
+      }
+      if (obs.cdp_path) {
+        const data = file(obs.cdp_path);
+        if (data) obs.cdp = parseJson(data, obs.cdp_path);
+        else problem(problems, "warning", `steps[${i}].${phase}.cdp_path`, `${phase} CDP file ${obs.cdp_path} is missing.`, step);
+        delete obs.cdp_path;
+      }
+    }
+  });
+  return episode;
+}
+
+function checkStep(step, i, problems) {
+  const err = (message) => problem(problems, "error", `steps[${i}]`, message, step);
+  const warn = (message) => problem(problems, "warning", `steps[${i}]`, message, step);
+  if (!isObject(step)) {
+    err("Step is not an object.");
+    return;
+  }
+  if (!Number.isInteger(step.step_number) || step.step_number < 0) {
+    if (step.step_number != null) err(`step_number ${JSON.stringify(step.step_number)} is not a non-negative integer.`);
+    else warn("Missing step_number; numbered by position.");
+  }
+  if (!isObject(step.action) || typeof step.action.type !== "string") err("Missing action or action.type.");
+  else if (!ACTION_TYPES.includes(step.action.type)) warn(`Unknown action type "${step.action.type}".`);
+  for (const phase of ["pre", "post", "derived"]) {
+    if (step[phase] != null && !isObject(step[phase])) err(`${phase} is not an object.`);
+  }
+  if (step.action?.type !== "annotation" && step.action?.type !== "off_record" && !isObject(step.pre)) {
+    warn("No pre observation.");
+  }
+  if (step.t_iso != null && Number.isNaN(Date.parse(step.t_iso))) warn(`t_iso ${JSON.stringify(step.t_iso)} is not a date.`);
+}
+
+// Returns the episode with steps in order and step_numbers/step_ids filled in. Problems are
+// appended to `problems`; callers must not store the episode if any of them is an error.
+export function validateEpisode(raw, problems = []) {
+  const err = (path, message) => problem(problems, "error", path, message);
+  const warn = (path, message) => problem(problems, "warning", path, message);
+  if (!isObject(raw)) {
+    err("", "The file does not contain an episode object.");
+    return { episode: null, problems };
+  }
+  if (!Array.isArray(raw.steps)) {
+    err("steps", "The episode has no steps array.");
+    return { episode: null, problems };
+  }
+  if (Number.isInteger(raw.schema_version) && raw.schema_version > SCHEMA_VERSION) {
+    err("schema_version", `The file uses schema_version ${raw.schema_version}; this extension reads up to ${SCHEMA_VERSION}.`);
+    return { episode: null, problems };
+  }
+  if (typeof raw.episode_id !== "string" || !raw.episode_id.trim()) warn("episode_id", "Missing episode_id; a new one is assigned.");
+  if (raw.created_at != null && Number.isNaN(Date.parse(raw.created_at))) warn("created_at", "created_at is not a date.");
+  const missing = ["name", "tags", "tabs", "redaction"].filter(key => raw[key] === undefined);
+  if (missing.length) warn(missing.join(", "), `No ${missing.join(", ")} (file from an earlier version); defaults are used.`);
+
+  raw.steps.forEach((step, i) => checkStep(step, i, problems));
+  if (problems.some(p => p.level === "error")) return { episode: null, problems };
+
+  const steps = raw.steps.map((step, i) => ({ ...step, step_number: Number.isInteger(step.step_number) ? step.step_number : i }));
+  const seen = new Map();
+  steps.forEach((step, i) => {
+    if (seen.has(step.step_number)) {
+      problem(problems, "error", `steps[${i}].step_number`, `Duplicate step_number ${step.step_number} (also steps[${seen.get(step.step_number)}]).`, step);
+    } else {
+      seen.set(step.step_number, i);
+    }
+    if (i > 0 && step.step_number < steps[i - 1].step_number) {
+      problem(problems, "warning", `steps[${i}].step_number`, `step_number ${step.step_number} comes after ${steps[i - 1].step_number}; steps are sorted on import.`, step);
+    }
+    if (!step.step_id) step.step_id = crypto.randomUUID();
+  });
+  if (problems.some(p => p.level === "error")) return { episode: null, problems };
+
+  steps.sort((a, b) => a.step_number - b.step_number);
+  const gaps = steps.filter((s, i) => i > 0 && s.step_number !== steps[i - 1].step_number + 1).length;
+  if (gaps) warn("steps", `Step numbers have ${gaps} gap(s); they are kept as they are.`);
+  return { episode: { ...raw, steps }, problems };
+}
+
+// bytes: Uint8Array of the file. Returns { episode, format, schemaVersion, problems }; episode is
+// null when the file could not be read or has errors. schemaVersion is the file's own version.
+export async function parseEpisodeFile(bytes) {
+  const problems = [];
+  const format = isZip(bytes) ? "bundle" : "json";
+  let raw;
+  try {
+    raw = format === "bundle" ? await readBundle(bytes, problems) : parseJson(bytes, "The file");
+  } catch (e) {
+    problem(problems, "error", "", String(e?.message || e));
+    return { episode: null, format, schemaVersion: null, problems };
+  }
+  const { episode } = validateEpisode(raw, problems);
+  if (!episode || problems.some(p => p.level === "error")) return { episode: null, format, schemaVersion: null, problems };
+  const schemaVersion = upgradeStoredEpisode(episode);
+  if (schemaVersion < SCHEMA_VERSION) {
+    problem(problems, "warning", "schema_version", `Upgraded from schema_version ${schemaVersion} to ${SCHEMA_VERSION}.`);
+  }
+  // export-time flags; recomputed on the next export
+  delete episode.validation;
+  for (const step of episode.steps) delete step.incomplete;
+  return { episode, format, schemaVersion, problems };
+}
@@ -0,0 +1,228 @@
+const $ = (id) => document.getElementById(id);
+
+async function send(msg) {
+  try {
+    return await chrome.runtime.sendMessage(msg);
+  } catch (error) {
+    return { error: String(error), lastMessage: String(error) };
+  }
+}
+
+function setMessage(text) {
+  $("lastMessage").textContent = text || "";
+}
+
+function formatSize(bytes) {
+  if (!bytes) return "0 B";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function cell(child) {
+  const td = document.createElement("td");
+  if (typeof child === "string") td.textContent = child;
+  else if (child) td.appendChild(child);
+  return td;
+}
+
+function button(label, className, onClick) {
+  const b = document.createElement("button");
+  b.textContent = label;
+  b.className = `btn ${className || ""}`.trim();
+  b.addEventListener("click", onClick);
+  return b;
+}
+
+function renderRow(ep) {
+  const tr = document.createElement("tr");
+  if (ep.is_current) tr.className = "current";
+
+  const name = document.createElement("input");
+  name.value = ep.name;
+  name.addEventListener("change", async () => {
+    const resp = await send({type: "RECORDER_EPISODE_UPDATE", episodeId: ep.episode_id, name: name.value});
+    setMessage(resp?.lastMessage);
+  });
+
+  const tags = document.createElement("input");
+  tags.value = ep.tags.join(", ");
+  tags.placeholder = "tag1, tag2";
+  tags.addEventListener("change", async () => {
+    const resp = await send({type: "RECORDER_EPISODE_UPDATE", episodeId: ep.episode_id, tags: tags.value.split(",")});
+    setMessage(resp?.lastMessage);
+  });
+
+  const url = cell(ep.start_url || "—");
+  url.className = "url";
+  url.title = ep.start_url || "";
+
+  const actions = document.createElement("div");
+  actions.className = "actions";
+  actions.appendChild(button("Review", "btn-secondary", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL(`review.html?episode=${encodeURIComponent(ep.episode_id)}`) });
+  }));
+  actions.appendChild(button("Export", "btn-secondary", async () => {
+    const resp = await send({type: "RECORDER_EXPORT", episodeId: ep.episode_id, format: $("exportFormat").value});
+    setMessage(resp?.lastMessage);
+  }));
+  actions.appendChild(button("Replay", "btn-secondary", async () => {
+    const resp = await send({type: "RECORDER_REPLAY_START", episodeId: ep.episode_id});
+    setMessage(resp?.lastMessage);
+    if (resp?.replayId) watchReplay(resp.replayId, ep.name);
+  }));
+  const resume = button(ep.is_recording ? "Recording" : "Resume", "btn-primary", async () => {
+    const resp = await send({type: "RECORDER_EPISODE_RESUME", episodeId: ep.episode_id});
+    setMessage(resp?.lastMessage);
+    refresh();
+  });
+  resume.disabled = ep.is_recording;
+  actions.appendChild(resume);
+  actions.appendChild(button("Delete", "btn-danger", async () => {
+    if (!confirm(`Delete "${ep.name}" and its ${ep.step_count} step(s)?`)) return;
+    const resp = await send({type: "RECORDER_EPISODE_DELETE", episodeId: ep.episode_id});
+    setMessage(resp?.lastMessage);
+    refresh();
+  }));
+
+  tr.append(
+    cell(name),
+    cell(tags),
+    cell(new Date(ep.created_at).toLocaleString()),
+    cell(String(ep.step_count)),
+    url,
+    cell(formatSize(ep.size_bytes)),
+    cell(actions)
+  );
+  return tr;
+}
+
+let replayTimer = null;
+
+function renderReplay(report, name) {
+  $("replayPanel").hidden = false;
+  const s = report.summary;
+  $("replayTitle").textContent = `Replay of "${name}": ${report.status}` +
+    (s ? ` (${s.matched} matched, ${s.fallback} fallback, ${s.failed} failed, ${s.skipped} skipped, ${s.url_mismatches} URL mismatches)` : "") +
+    (report.error ? ` - ${report.error}` : "");
+  $("replaySteps").replaceChildren(...report.steps.map(step => {
+    const tr = document.createElement("tr");
+    tr.className = `status-${step.status}`;
+    const url = cell(step.actual_post_url || "—");
+    url.className = "url";
+    url.title = step.recorded_post_url ? `recorded: ${step.recorded_post_url}` : "";
+    tr.append(
+      cell(String(step.step_number)),
+      cell(step.action_type),
+      cell(step.status),
+      cell(step.strategy || "—"),
+      url,
+      cell(step.url_match == null ? "—" : (step.url_match ? "yes" : "no")),
+      cell(step.error || "")
+    );
+    return tr;
+  }));
+}
+
+function watchReplay(replayId, name) {
+  clearInterval(replayTimer);
+  const poll = async () => {
+    const resp = await send({type: "RECORDER_REPLAY_GET", replayId});
+    if (!resp?.report) return;
+    renderReplay(resp.report, name);
+    if (resp.report.status !== "running") clearInterval(replayTimer);
+  };
+  replayTimer = setInterval(poll, 1000);
+  poll();
+}
+
+// Imported files reach the service worker through its "transfers" IndexedDB store; as a runtime
+// message a multi-MB bundle would hit the message size limit. The worker owns the DB schema, so
+// it is opened without a version and never created or upgraded here.
+const DB_NAME = "episode_recorder_db_v1";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function putTransfer(blob) {
+  const db = await openDb();
+  const transferId = crypto.randomUUID();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction("transfers", "readwrite");
+      tx.objectStore("transfers").put({ transfer_id: transferId, blob, created_at: new Date().toISOString() });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+  return transferId;
+}
+
+function renderImport(fileName, resp) {
+  const problems = resp?.problems || [];
+  $("importPanel").hidden = false;
+  $("importTitle").textContent = `Import of ${fileName}: ${resp?.ok ? "stored" : "refused"}` +
+    (problems.length ? ` (${problems.length} problem(s))` : "");
+  $("importProblems").replaceChildren(...problems.map(p => {
+    const tr = document.createElement("tr");
+    tr.className = `level-${p.level}`;
+    tr.append(
+      cell(p.step_number != null ? `#${p.step_number}` : p.path || "episode"),
+      cell(p.level),
+      cell(p.message)
+    );
+    return tr;
+  }));
+}
+
+async function importFile(file) {
+  setMessage(`Importing ${file.name}…`);
+  let transferId;
+  try {
+    transferId = await putTransfer(file);
+  } catch (e) {
+    setMessage(`Import failed: ${String(e)}`);
+    return;
+  }
+  const resp = await send({type: "RECORDER_IMPORT", transferId, fileName: file.name, onCollision: $("importCollision").value});
+  setMessage(resp?.lastMessage || resp?.error);
+  renderImport(file.name, resp);
+  if (resp?.ok) refresh();
+}
+
+async function refresh() {
+  const resp = await send({type: "RECORDER_LIBRARY_LIST"});
+  if (resp?.error) {
+    setMessage(resp.lastMessage);
+    return;
+  }
+  const episodes = resp?.episodes || [];
+  $("episodes").replaceChildren(...episodes.map(renderRow));
+  $("emptyState").hidden = episodes.length > 0;
+}
+
+$("btnRefresh").addEventListener("click", refresh);
+
+$("btnImport").addEventListener("click", () => $("importFile").click());
+
+$("importFile").addEventListener("change", async () => {
+  const file = $("importFile").files[0];
+  $("importFile").value = "";
+  if (file) await importFile(file);
+});
+
+$("btnCleanup").addEventListener("click", async () => {
+  const resp = await send({type: "RECORDER_LIBRARY_CLEANUP"});
+  setMessage(resp?.lastMessage);
+  refresh();
+});
+
+refresh();
@@ -0,0 +1,175 @@
+/*
+Per-tab network activity from chrome.webRequest (observe-only, no blocking).
+Requests are kept in a bounded in-memory list per tab while recording; each step takes the
+requests that started between its pre and post capture. Headers always go through
+redactHeaders(); request bodies are only kept when explicitly enabled, and both are run through
+the redaction policy.
+Independently of the log, in-flight requests are counted per tab while recording so post
+capture can wait for the page's requests to finish (pendingRequestCount).
+*/
+import "./redaction.js";
+
+const { normalizePolicy, redactText } = globalThis.EpisodeRedaction;
+
+const MAX_PER_TAB = 500;
+const MAX_BODY_CHARS = 4096;
+const SENSITIVE_HEADERS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+  "x-auth-token",
+  "x-csrf-token",
+  "x-xsrf-token"
+];
+
+const byTab = new Map();       // tabId -> [entry]
+const byRequestId = new Map(); // requestId -> entry (until completed/failed)
+let settings = { enabled: false, bodies: false, policy: normalizePolicy(null) };
+
+// Settle tracking: requestId -> { tabId, type, started_at }. Long-lived requests (streams, long
+// polls) and types that never gate rendering are left out of the count.
+const inflight = new Map();
+const SETTLE_IGNORED_TYPES = ["websocket", "ping", "csp_report", "media"];
+const SETTLE_MAX_REQUEST_AGE_MS = 10000;
+let tracking = false;
+
+export function setNetworkCapture({ enabled, bodies, policy, track = enabled }) {
+  settings = { enabled: !!enabled, bodies: !!bodies, policy: policy || settings.policy };
+  if (!settings.enabled) {
+    byTab.clear();
+    byRequestId.clear();
+  }
+  tracking = !!track;
+  if (!tracking) inflight.clear();
+}
+
+// Requests that never complete (aborted streams, long polls) are dropped here once too old to count.
+export function pendingRequestCount(tabId, now = Date.now()) {
+  let n = 0;
+  for (const [id, r] of inflight) {
+    if (now - r.started_at >= SETTLE_MAX_REQUEST_AGE_MS) inflight.delete(id);
+    else if (r.tabId === tabId) n++;
+  }
+  return n;
+}
+
+export function redactHeaders(headers) {
+  return (headers || []).map(h => {
+    const name = (h.name || "").toLowerCase();
+    if (SENSITIVE_HEADERS.includes(name)) return { name: h.name, value: "<redacted>" };
+    return { name: h.name, value: redactText(h.value ?? null, settings.policy, "header_value").value };
+  });
+}
+
+function redactBody(body) {
+  if (!body) return body;
+  const red = (t) => redactText(t, settings.policy, "request_body").value;
+  if (body.form_data) {
+    const form = {};
+    for (const [k, values] of Object.entries(body.form_data)) form[k] = values.map(red);
+    return { form_data: form };
+  }
+  if (body.text != null) return { ...body, text: red(body.text) };
+  return body;
+}
+
+function decodeBody(requestBody) {
+  if (!requestBody) return null;
+  if (requestBody.error) return { error: requestBody.error };
+  if (requestBody.formData) return { form_data: requestBody.formData };
+  if (requestBody.raw?.length) {
+    const parts = requestBody.raw.filter(p => p.bytes).map(p => new Uint8Array(p.bytes));
+    const text = parts.map(p => new TextDecoder().decode(p)).join("");
+    return { text: text.slice(0, MAX_BODY_CHARS), truncated: text.length > MAX_BODY_CHARS };
+  }
+  return null;
+}
+
+function finish(details, patch) {
+  inflight.delete(details.requestId);
+  const entry = byRequestId.get(details.requestId);
+  if (!entry) return;
+  byRequestId.delete(details.requestId);
+  Object.assign(entry, patch, {
+    ended_at: details.timeStamp,
+    duration_ms: Math.round(details.timeStamp - entry.started_at),
+    pending: false
+  });
+}
+
+const FILTER = { urls: ["<all_urls>"] };
+
+chrome.webRequest.onBeforeRequest.addListener((details) => {
+  if (tracking && details.tabId >= 0 && !SETTLE_IGNORED_TYPES.includes(details.type)) {
+    inflight.set(details.requestId, { tabId: details.tabId, type: details.type, started_at: details.timeStamp });
+  }
+  if (!settings.enabled || details.tabId < 0) return;
+  const entry = {
+    request_id: details.requestId,
+    method: details.method,
+    url: details.url,
+    type: details.type,
+    frame_id: details.frameId,
+    started_at: details.timeStamp,
+    ended_at: null,
+    duration_ms: null,
+    status_code: null,
+    from_cache: null,
+    error: null,
+    pending: true,
+    request_headers: null,
+    response_headers: null
+  };
+  if (settings.bodies) entry.request_body = redactBody(decodeBody(details.requestBody));
+
+  const list = byTab.get(details.tabId) || [];
+  list.push(entry);
+  if (list.length > MAX_PER_TAB) list.splice(0, list.length - MAX_PER_TAB);
+  byTab.set(details.tabId, list);
+  byRequestId.set(details.requestId, entry);
+}, FILTER, ["requestBody"]);
+
+chrome.webRequest.onSendHeaders.addListener((details) => {
+  const entry = byRequestId.get(details.requestId);
+  if (entry) entry.request_headers = redactHeaders(details.requestHeaders);
+}, FILTER, ["requestHeaders"]);
+
+chrome.webRequest.onCompleted.addListener((details) => {
+  finish(details, {
+    status_code: details.statusCode,
+    from_cache: details.fromCache,
+    response_headers: redactHeaders(details.responseHeaders)
+  });
+}, FILTER, ["responseHeaders"]);
+
+chrome.webRequest.onErrorOccurred.addListener((details) => {
+  finish(details, { error: details.error, from_cache: details.fromCache });
+}, FILTER);
+
+export function requestsBetween(tabId, fromMs, toMs) {
+  return (byTab.get(tabId) || [])
+    .filter(e => e.started_at >= fromMs && e.started_at <= toMs)
+    .map(e => ({ ...e }));
+}
+
+export function forgetTab(tabId) {
+  byTab.delete(tabId);
+  for (const [id, r] of inflight) if (r.tabId === tabId) inflight.delete(id);
+}
+
+// Flags for step.derived, computed from the step's requests.
+export function networkFlags(requests) {
+  const isXhr = (r) => r.type === "xmlhttprequest";
+  const failed = (r) => !!r.error || (r.status_code != null && r.status_code >= 400);
+  const documents = requests.filter(r => r.type === "main_frame");
+  const lastDoc = documents[documents.length - 1];
+  return {
+    request_count: requests.length,
+    had_xhr_error: requests.some(r => isXhr(r) && failed(r)),
+    had_mutating_request: requests.some(r => ["POST", "PUT", "PATCH", "DELETE"].includes(r.method)),
+    failed_request_count: requests.filter(failed).length,
+    navigation_document_status: lastDoc ? (lastDoc.status_code ?? lastDoc.error ?? null) : null
+  };
+}
@@ -0,0 +1,43 @@
+/*
+Offscreen document: turns blobs the service worker left in the "transfers" store into blob: URLs
+for chrome.downloads (service workers can't create object URLs) and revokes them afterwards.
+*/
+
+const DB_NAME = "episode_recorder_db_v1";
+
+// The worker owns the schema; opening without a version never creates or upgrades the DB.
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function readTransfer(transferId) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction("transfers", "readonly");
+      const req = tx.objectStore("transfers").get(transferId);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.type === "RECORDER_OFFSCREEN_BLOB_URL") {
+    readTransfer(msg.transferId)
+      .then(row => sendResponse(row ? { url: URL.createObjectURL(row.blob) } : { error: "Transfer not found." }))
+      .catch(e => sendResponse({ error: String(e) }));
+    return true;
+  }
+  if (msg?.type === "RECORDER_OFFSCREEN_REVOKE") {
+    URL.revokeObjectURL(msg.url);
+    sendResponse({ ok: true });
+  }
+});
@@ -0,0 +1,111 @@
+const $ = (id) => document.getElementById(id);
+
+async function send(msg) {
+  try {
+    return await chrome.runtime.sendMessage(msg);
+  } catch (error) {
+    return { error: String(error), lastMessage: String(error) };
+  }
+}
+
+function setMessage(text) {
+  $("lastMessage").textContent = text || "";
+}
+
+function showErrors(errors, listId = "policyErrors") {
+  $(listId).replaceChildren(...(errors || []).map(e => {
+    const li = document.createElement("li");
+    li.textContent = e;
+    return li;
+  }));
+}
+
+function editedPolicy() {
+  try {
+    return { policy: JSON.parse($("policyJson").value) };
+  } catch (e) {
+    return { error: `Invalid JSON: ${e.message}` };
+  }
+}
+
+function renderSample() {
+  const { policy } = editedPolicy();
+  const normalized = EpisodeRedaction.normalizePolicy(policy || null);
+  const out = EpisodeRedaction.redactText($("sampleText").value, normalized, $("sampleField").value);
+  $("sampleOut").textContent = out.value == null ? "(dropped)" : out.value;
+}
+
+async function loadPolicy() {
+  const resp = await send({type: "RECORDER_GET_REDACTION_POLICY"});
+  if (resp?.error) {
+    setMessage(resp.lastMessage);
+    return;
+  }
+  $("policyJson").value = JSON.stringify(resp.policy, null, 2);
+  setMessage(`Active policy: ${resp.policy_version} (${resp.policy_hash})`);
+  renderSample();
+}
+
+function lines(id) {
+  return $(id).value.split("\n").map(l => l.trim()).filter(Boolean);
+}
+
+async function loadSiteRules() {
+  const resp = await send({type: "RECORDER_GET_SITE_RULES"});
+  if (resp?.error) {
+    setMessage(resp.lastMessage);
+    return;
+  }
+  const rules = resp.rules;
+  $("siteAllow").value = rules.allow.join("\n");
+  $("siteDeny").value = rules.deny.join("\n");
+  $("siteOffRecord").value = rules.off_record;
+  $("siteOverrides").value = rules.overrides.length ? JSON.stringify(rules.overrides, null, 2) : "";
+}
+
+$("btnSaveSites").addEventListener("click", async () => {
+  let overrides = [];
+  try {
+    overrides = $("siteOverrides").value.trim() ? JSON.parse($("siteOverrides").value) : [];
+  } catch (e) {
+    showErrors([`Overrides: invalid JSON: ${e.message}`], "siteErrors");
+    return;
+  }
+  const rules = {allow: lines("siteAllow"), deny: lines("siteDeny"), off_record: $("siteOffRecord").value, overrides};
+  const resp = await send({type: "RECORDER_SET_SITE_RULES", rules});
+  showErrors(resp?.errors, "siteErrors");
+  setMessage(resp?.lastMessage);
+  if (resp?.ok) loadSiteRules();
+});
+
+$("btnSavePolicy").addEventListener("click", async () => {
+  const { policy, error } = editedPolicy();
+  if (error) {
+    showErrors([error]);
+    return;
+  }
+  const resp = await send({type: "RECORDER_SET_REDACTION_POLICY", policy});
+  showErrors(resp?.errors);
+  setMessage(resp?.lastMessage);
+  if (resp?.ok) loadSiteRules();
+loadPolicy();
+});
+
+$("btnResetPolicy").addEventListener("click", () => {
+  $("policyJson").value = JSON.stringify(EpisodeRedaction.DEFAULT_POLICY, null, 2);
+  showErrors([]);
+  renderSample();
+});
+
+$("sampleField").replaceChildren(...EpisodeRedaction.FIELDS.filter(f => f !== "screenshot").map(f => {
+  const opt = document.createElement("option");
+  opt.value = f;
+  opt.textContent = f;
+  return opt;
+}));
+$("sampleText").addEventListener("input", renderSample);
+$("sampleField").addEventListener("change", renderSample);
+$("policyJson").addEventListener("input", renderSample);
+
+loadSiteRules();
+loadPolicy();
@@ -16,6 +16,8 @@ function setStatus(isRecording) {
   $("btnStart").disabled = isRecording;
   $("btnStop").disabled = !isRecording;
   $("btnExport").disabled = isRecording; // export only when stopped (simpler)
+  $("taskBox").hidden = isRecording;
+  $("annotateBox").hidden = !isRecording;
 }
 
 function setMeta({episodeId, stepCount, lastMessage}) {
@@ -24,7 +26,26 @@ function setMeta({episodeId, stepCount, lastMessage}) {
   $("lastMessage").textContent = lastMessage || "";
 }
 
+async function refreshSiteStatus() {
+  const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+  const site = tab?.url ? await send({type: "RECORDER_SITE_STATUS", url: tab.url}) : null;
+  const el = $("siteStatus");
+  if (!site || site.error || !site.host) {
+    el.textContent = "—";
+    el.title = "";
+    return;
+  }
+  if (!site.recorded) {
+    el.textContent = `${site.host}: not recorded`;
+    el.title = site.reason === "deny_list" ? `Deny list: ${site.pattern}` : "Not in the allow list";
+  } else {
+    el.textContent = `${site.host}: ${site.isRecording ? "recording" : "will be recorded"}`;
+    el.title = site.pattern ? `Per-site rule: ${site.pattern}` : "";
+  }
+}
+
 async function refresh() {
+  refreshSiteStatus();
   const st = await send({type: "RECORDER_GET_STATUS"});
   setStatus(!!st.isRecording);
   setMeta({
@@ -35,15 +56,46 @@ async function refresh() {
 
   // Load current options
   $("optScreenshots").checked = !!st.options?.captureScreenshots;
+  $("optMarks").checked = !!st.options?.captureMarkedScreenshots;
+  $("optCrops").checked = !!st.options?.captureElementCrops;
+  $("optFullPageNav").checked = !!st.options?.fullPageOnNavigation;
+  $("optImageFormat").value = st.options?.screenshotFormat || "png";
+  $("optImageQuality").value = st.options?.screenshotQuality ?? 0.85;
+  $("optImageMaxWidth").value = st.options?.screenshotMaxWidth ?? 0;
   $("optDomState").checked = !!st.options?.captureDomState;
+  $("optCdp").checked = !!st.options?.captureCdp;
+  $("optNetwork").checked = !!st.options?.captureNetwork;
+  $("optRequestBodies").checked = !!st.options?.captureRequestBodies;
+  $("optTyping").checked = !!st.options?.captureTyping;
+  $("optCoalesce").checked = st.options?.coalesceSteps !== false;
+  $("optSettleMaxMs").value = st.options?.settleMaxMs ?? 5000;
 }
 
-$("btnStart").addEventListener("click", async () => {
-  const options = {
+function currentOptions() {
+  return {
     captureScreenshots: $("optScreenshots").checked,
-    captureDomState: $("optDomState").checked
+    captureMarkedScreenshots: $("optMarks").checked,
+    captureElementCrops: $("optCrops").checked,
+    fullPageOnNavigation: $("optFullPageNav").checked,
+    screenshotFormat: $("optImageFormat").value,
+    screenshotQuality: Number($("optImageQuality").value) || 0.85,
+    screenshotMaxWidth: Number($("optImageMaxWidth").value) || 0,
+    captureDomState: $("optDomState").checked,
+    captureCdp: $("optCdp").checked,
+    captureNetwork: $("optNetwork").checked,
+    captureRequestBodies: $("optRequestBodies").checked,
+    captureTyping: $("optTyping").checked,
+    coalesceSteps: $("optCoalesce").checked,
+    settleMaxMs: Number($("optSettleMaxMs").value) || 5000
+  };
+}
+
+$("btnStart").addEventListener("click", async () => {
+  const task = {
+    description: $("taskDescription").value,
+    success_criteria: $("successCriteria").value
   };
-  const resp = await send({type: "RECORDER_START", options});
+  const resp = await send({type: "RECORDER_START", options: currentOptions(), task});
   setMeta(resp || {});
   if (resp?.error) {
     setStatus(false);
@@ -65,49 +117,49 @@ $("btnClear").addEventListener("click", async () => {
 });
 
 $("btnExport").addEventListener("click", async () => {
-  const resp = await send({type: "RECORDER_EXPORT"});
-  if (!resp || !resp.episode) {
-    setMeta({episodeId: resp?.episodeId, stepCount: resp?.stepCount, lastMessage: "Nothing to export."});
-    return;
-  }
-
-  const episode = resp.episode;
-  const blob = new Blob([JSON.stringify(episode, null, 2)], {type: "application/json"});
-  const url = URL.createObjectURL(blob);
+  const format = $("exportFormat").value;
+  const resp = await send({type: "RECORDER_EXPORT", format});
+  setMeta(resp || {});
+});
 
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = `episode_${episode.episode_id}.json`;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+async function annotate(kind) {
+  const resp = await send({type: "RECORDER_ANNOTATE", kind, text: $("annotationText").value});
+  if (resp?.ok) $("annotationText").value = "";
+  refresh();
+  $("lastMessage").textContent = resp?.lastMessage || "";
+}
 
-  setMeta({episodeId: episode.episode_id, stepCount: episode.steps?.length ?? 0, lastMessage: "Exported JSON."});
+$("btnAnnotate").addEventListener("click", () => annotate("note"));
+$("btnSubgoal").addEventListener("click", () => annotate("subgoal"));
+$("btnFullPage").addEventListener("click", async () => {
+  $("btnFullPage").disabled = true;
+  $("lastMessage").textContent = "Capturing the full page…";
+  const resp = await send({type: "RECORDER_FULL_PAGE"});
+  $("btnFullPage").disabled = false;
+  refresh();
+  $("lastMessage").textContent = resp?.lastMessage || "";
+});
+$("annotationText").addEventListener("keydown", (e) => {
+  if (e.key === "Enter") annotate("note");
 });
 
-$("optScreenshots").addEventListener("change", async () => {
-  const resp = await send({type: "RECORDER_SET_OPTIONS", options: {
-    captureScreenshots: $("optScreenshots").checked,
-    captureDomState: $("optDomState").checked
-  }});
-  if (resp?.error) {
-    setMeta(resp);
-    return;
-  }
-  refresh();
+$("btnLibrary").addEventListener("click", () => {
+  chrome.tabs.create({url: chrome.runtime.getURL("library.html")});
 });
 
-$("optDomState").addEventListener("change", async () => {
-  const resp = await send({type: "RECORDER_SET_OPTIONS", options: {
-    captureScreenshots: $("optScreenshots").checked,
-    captureDomState: $("optDomState").checked
-  }});
-  if (resp?.error) {
-    setMeta(resp);
-    return;
-  }
-  refresh();
+$("btnSettings").addEventListener("click", () => {
+  chrome.runtime.openOptionsPage();
 });
 
+for (const id of ["optScreenshots", "optMarks", "optCrops", "optFullPageNav", "optImageFormat", "optImageQuality", "optImageMaxWidth", "optDomState", "optCdp", "optNetwork", "optRequestBodies", "optTyping", "optCoalesce", "optSettleMaxMs"]) {
+  $(id).addEventListener("change", async () => {
+    const resp = await send({type: "RECORDER_SET_OPTIONS", options: currentOptions()});
+    if (resp?.error) {
+      setMeta(resp);
+      return;
+    }
+    refresh();
+  });
+}
+
 refresh();
@@ -0,0 +1,215 @@
+/*
+Redaction policy engine, shared by content.js (labels, nearby text, attrs, input values, screenshot
+boxes) and the service worker (network headers/bodies, CDP strings). It is loaded as a classic
+content script and imported for its side effect by background modules, so it only publishes
+globalThis.EpisodeRedaction.
+
+Field actions:
+- "none": keep as is
+- "mask": replace each detected span with a type token, e.g. "[EMAIL]"
+- "hash": replace each detected span with a salted token, e.g. "[EMAIL:1a2b3c4d]" (stable within a
+  policy, so the same value can be correlated across steps without being revealed)
+- "drop": remove the whole field value when anything is detected
+Selector rules redact the whole value of matching elements (and their descendants) regardless
+of detectors, using the rule's own action.
+*/
+(function () {
+  const FIELDS = [
+    "input_value",
+    "label",
+    "nearby_text",
+    "attr_value",
+    "notice_text",
+    "header_value",
+    "request_body",
+    "clipboard_text",
+    "screenshot"
+  ];
+  const ACTIONS = ["none", "mask", "hash", "drop"];
+
+  const DEFAULT_POLICY = {
+    version: "default-1",
+    detectors: { email: true, phone: true, card: true, national_id: true },
+    custom_patterns: [], // [{ name, pattern, flags }]
+    selector_rules: [],  // [{ selector, action }]
+    field_actions: {
+      input_value: "mask",
+      label: "mask",
+      nearby_text: "mask",
+      attr_value: "mask",
+      notice_text: "mask",
+      header_value: "mask",
+      request_body: "mask",
+      clipboard_text: "mask",
+      screenshot: "mask" // "mask" blacks out boxes; "none" leaves screenshots untouched
+    },
+    hash_salt: ""
+  };
+
+  function luhnOk(digits) {
+    let sum = 0;
+    let dbl = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+      let d = digits.charCodeAt(i) - 48;
+      if (dbl) { d *= 2; if (d > 9) d -= 9; }
+      sum += d;
+      dbl = !dbl;
+    }
+    return digits.length >= 13 && sum % 10 === 0;
+  }
+
+  // Order matters: earlier detectors win overlapping spans (a card number is not also a phone).
+  // Phones are +country or (area) prefixed numbers, or digit groups with one kind of separator;
+  // ungrouped runs, dates with times, amounts with thousands separators, IPv4 addresses and
+  // dashed references ending in a short group ("2024-0001-23") don't count.
+  const BUILTIN_DETECTORS = [
+    { kind: "card", re: /\b(?:\d[ -]?){12,18}\d\b/g, check: (m) => luhnOk(m.replace(/\D/g, "")) },
+    // NINO prefixes and suffixes are upper case; "ab123456c" is more likely an ID of some app
+    { kind: "national_id", re: /\b\d{3}-\d{2}-\d{4}\b|\b[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g },
+    { kind: "email", re: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+    {
+      kind: "phone",
+      re: /(?<![\w+(.:\/-])(?:\+\d{9,15}|\+\d{1,3}(?:[\s.-]?\(\d{1,4}\))?(?:[\s.-]\d{1,8}){1,6}|\(\d{1,4}\)[\s.-]?\d{1,8}(?:[\s.-]\d{1,8}){0,5}|\d{1,5}(?:[\s.-]\d{2,6}){1,5})(?![\w:]|[.,-]\d)/g,
+      check: (m) => {
+        const n = m.replace(/\D/g, "").length;
+        if (n < 9 || n > 15) return false;
+        if (/^[+(]/.test(m)) return true;
+        // one separator throughout: "2024-01-15 10" and "1 234.56" mix them
+        if (new Set(m.match(/[\s.-]/g)).size !== 1) return false;
+        if (/^\d{1,3}(?:[ .]\d{3})+$/.test(m) || /^\d{1,3}(?:\.\d{1,3}){3}$/.test(m)) return false;
+        // subscriber numbers end in 3+ digits unless written in pairs ("06 12 34 56 78")
+        const groups = m.split(/[\s.-]/);
+        return groups[groups.length - 1].length >= 3 || groups.slice(1).every(g => g.length === 2);
+      }
+    }
+  ];
+
+  // 32-bit FNV-1a; a pseudonymization token, not a cryptographic commitment.
+  function hashToken(s, salt = "") {
+    let h = 0x811c9dc5;
+    const str = `${salt}\u0000${s}`;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h.toString(16).padStart(8, "0");
+  }
+
+  const compiledCache = new Map();
+
+  // Fills defaults and compiles custom patterns. Returns { policy, errors }.
+  function validatePolicy(raw) {
+    const errors = [];
+    const src = raw && typeof raw === "object" ? raw : {};
+    const policy = {
+      version: String(src.version || DEFAULT_POLICY.version),
+      detectors: { ...DEFAULT_POLICY.detectors, ...(src.detectors || {}) },
+      custom_patterns: [],
+      selector_rules: [],
+      field_actions: { ...DEFAULT_POLICY.field_actions },
+      hash_salt: String(src.hash_salt ?? DEFAULT_POLICY.hash_salt)
+    };
+    for (const [field, action] of Object.entries(src.field_actions || {})) {
+      if (!FIELDS.includes(field)) errors.push(`field_actions: unknown field "${field}"`);
+      else if (!ACTIONS.includes(action)) errors.push(`field_actions.${field}: unknown action "${action}"`);
+      else policy.field_actions[field] = action;
+    }
+    for (const [i, p] of (src.custom_patterns || []).entries()) {
+      try {
+        new RegExp(p.pattern, p.flags || "g");
+        policy.custom_patterns.push({ name: String(p.name || `custom_${i}`), pattern: String(p.pattern), flags: p.flags || "g" });
+      } catch (e) {
+        errors.push(`custom_patterns[${i}]: ${e.message}`);
+      }
+    }
+    for (const [i, r] of (src.selector_rules || []).entries()) {
+      if (!r?.selector) { errors.push(`selector_rules[${i}]: missing selector`); continue; }
+      const action = r.action || "mask";
+      if (!ACTIONS.includes(action)) { errors.push(`selector_rules[${i}]: unknown action "${action}"`); continue; }
+      policy.selector_rules.push({ selector: String(r.selector), action });
+    }
+    return { policy, errors };
+  }
+
+  function normalizePolicy(raw) {
+    return validatePolicy(raw).policy;
+  }
+
+  function detectorsFor(policy) {
+    const key = JSON.stringify([policy.detectors, policy.custom_patterns]);
+    if (compiledCache.has(key)) return compiledCache.get(key);
+    const list = BUILTIN_DETECTORS.filter(d => policy.detectors[d.kind]);
+    for (const p of policy.custom_patterns) {
+      const flags = p.flags.includes("g") ? p.flags : `${p.flags}g`;
+      list.push({ kind: p.name, re: new RegExp(p.pattern, flags) });
+    }
+    compiledCache.set(key, list);
+    return list;
+  }
+
+  // Non-overlapping matches [{ start, end, kind }], sorted by start.
+  function findMatches(text, policy) {
+    if (!text) return [];
+    const out = [];
+    for (const d of detectorsFor(policy)) {
+      d.re.lastIndex = 0;
+      let m;
+      while ((m = d.re.exec(text))) {
+        if (!m[0]) { d.re.lastIndex++; continue; }
+        const start = m.index;
+        const end = start + m[0].length;
+        if (d.check && !d.check(m[0])) continue;
+        if (out.some(o => start < o.end && end > o.start)) continue;
+        out.push({ start, end, kind: d.kind });
+      }
+    }
+    return out.sort((a, b) => a.start - b.start);
+  }
+
+  function token(kind, match, action, policy) {
+    const label = kind.toUpperCase();
+    return action === "hash" ? `[${label}:${hashToken(match, policy.hash_salt)}]` : `[${label}]`;
+  }
+
+  // Returns { value, redacted, kinds }. `whole` redacts the entire value (selector rules).
+  function redactText(text, policy, field, { whole = false, action: override = null } = {}) {
+    if (text == null || text === "") return { value: text, redacted: false, kinds: [] };
+    const str = String(text);
+    const action = override || policy.field_actions[field] || "mask";
+    if (action === "none") return { value: str, redacted: false, kinds: [] };
+
+    if (whole) {
+      if (action === "drop") return { value: null, redacted: true, kinds: ["selector"] };
+      return { value: token("redacted", str, action, policy), redacted: true, kinds: ["selector"] };
+    }
+
+    const matches = findMatches(str, policy);
+    if (!matches.length) return { value: str, redacted: false, kinds: [] };
+    const kinds = Array.from(new Set(matches.map(m => m.kind)));
+    if (action === "drop") return { value: null, redacted: true, kinds };
+
+    let out = "";
+    let pos = 0;
+    for (const m of matches) {
+      out += str.slice(pos, m.start) + token(m.kind, str.slice(m.start, m.end), action, policy);
+      pos = m.end;
+    }
+    return { value: out + str.slice(pos), redacted: true, kinds };
+  }
+
+  function policyFingerprint(policy) {
+    return hashToken(JSON.stringify(policy));
+  }
+
+  globalThis.EpisodeRedaction = {
+    FIELDS,
+    ACTIONS,
+    DEFAULT_POLICY,
+    validatePolicy,
+    normalizePolicy,
+    findMatches,
+    redactText,
+    hashToken,
+    policyFingerprint
+  };
+})();
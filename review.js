@@ -0,0 +1,327 @@
+const $ = (id) => document.getElementById(id);
+
+async function send(msg) {
+  try {
+    return await chrome.runtime.sendMessage(msg);
+  } catch (error) {
+    return { error: String(error), lastMessage: String(error) };
+  }
+}
+
+function setMessage(text) {
+  $("lastMessage").textContent = text || "";
+}
+
+const episodeId = new URLSearchParams(location.search).get("episode");
+let episode = null;
+let stepsByNumber = new Map(); // original step_number -> step (without screenshots)
+let items = [];                // display order: [{ from: [step numbers], deleted, note }]
+let dirty = false;
+const shots = new Map();       // step_number -> Promise<{ pre, post }>
+
+function truncate(s, n = 60) {
+  const str = String(s ?? "");
+  return str.length > n ? `${str.slice(0, n - 1)}…` : str;
+}
+
+function describeTarget(ref) {
+  if (!ref?.dom) return "";
+  const role = ref.dom.role || ref.dom.tag;
+  return ref.dom.name ? `"${truncate(ref.dom.name, 40)}" (${role})` : role;
+}
+
+function summarizeAction(a) {
+  switch (a?.type) {
+    case "click":
+    case "dblclick":
+    case "context_click":
+    case "hover":
+      return `${a.type} ${describeTarget(a.target_ref)}`;
+    case "input":
+    case "type_text":
+    case "fill":
+      return `${a.type} ${JSON.stringify(truncate(a.value ?? ""))} into ${describeTarget(a.target_ref)}`;
+    case "submit":
+      return `submit ${describeTarget(a.target_ref)}`;
+    case "select":
+      return `select ${JSON.stringify(a.option_value)} in ${describeTarget(a.target_ref)}`;
+    case "key":
+    case "shortcut":
+      return `${a.type} ${a.combo || (a.keys || []).join("+")}`;
+    case "scroll":
+      return `scroll dx=${a.dx} dy=${a.dy}${a.container === "element" ? ` in ${describeTarget(a.container_ref)}` : ""}`;
+    case "navigate":
+      return `navigate (${a.kind}) ${a.url || "off-record page"}`;
+    case "drag":
+      return `drag ${describeTarget(a.source_ref)} to ${describeTarget(a.target_ref)}`;
+    case "upload":
+      return `upload ${(a.files || []).map(f => f.name).join(", ")}`;
+    case "copy":
+    case "cut":
+    case "paste":
+      return `${a.type} ${JSON.stringify(truncate(a.text ?? ""))}`;
+    case "open_tab":
+    case "switch_tab":
+    case "close_tab":
+      return `${a.type} (tab ${a.tab_index})`;
+    case "off_record":
+      return "activity on an excluded site";
+    case "annotation":
+      return `${a.kind === "subgoal" ? "sub-goal" : "note"}: ${truncate(a.text, 80)}`;
+    default:
+      return a?.type || "unknown";
+  }
+}
+
+function diffLines(step) {
+  const d = step.derived;
+  if (!d) {
+    if (step.post) return ["No derived diff."];
+    return [step.unfinalized ? `Post state not captured (${step.unfinalized.reason}).` : "Post state not captured."];
+  }
+  const lines = [];
+  const p = d.page_diff || {};
+  if (p.url) lines.push(`URL: ${p.url.before} → ${p.url.after}`);
+  if (p.title) lines.push(`Title: ${p.title.before} → ${p.title.after}`);
+  if (p.scroll_y) lines.push(`Scroll: ${p.scroll_y.before} → ${p.scroll_y.after}`);
+  const dom = d.dom_diff;
+  if (dom) {
+    const labels = (list) => list.slice(0, 3).map(x => JSON.stringify(truncate(x.label, 30))).join(", ") + (list.length > 3 ? ", …" : "");
+    if (dom.appeared?.length) lines.push(`Appeared (${dom.appeared.length}): ${labels(dom.appeared)}`);
+    if (dom.disappeared?.length) lines.push(`Disappeared (${dom.disappeared.length}): ${labels(dom.disappeared)}`);
+    if (dom.changed?.length) lines.push(`Changed (${dom.changed.length}): ${labels(dom.changed)}`);
+    for (const [key, name] of [["new_dialogs", "New dialogs"], ["new_toasts", "New toasts"], ["new_validation_messages", "New validation messages"]]) {
+      if (dom[key]?.length) lines.push(`${name}: ${dom[key].map(n => JSON.stringify(truncate(n.text, 50))).join(", ")}`);
+    }
+  }
+  if (d.request_count != null) {
+    lines.push(`Network: ${d.request_count} request(s)` +
+      (d.failed_request_count ? `, ${d.failed_request_count} failed` : "") +
+      (d.had_mutating_request ? ", mutating" : ""));
+  }
+  for (const n of step.navigations || []) lines.push(`Navigated (${n.kind}): ${n.url || "off-record page"}`);
+  return lines.length ? lines : ["No visible change."];
+}
+
+function loadShots(stepNumber) {
+  if (!shots.has(stepNumber)) {
+    shots.set(stepNumber, send({type: "RECORDER_REVIEW_SCREENSHOTS", episodeId, stepNumber}));
+  }
+  return shots.get(stepNumber);
+}
+
+// The interacted element's bbox as percentages of the viewport the screenshot shows.
+function bboxStyle(step) {
+  const a = step.action || {};
+  const ref = a.target_ref || a.source_ref || a.container_ref;
+  const box = ref?.layout?.bbox;
+  const vw = ref?.layout?.viewport?.w || step.pre?.page_info?.viewport_width;
+  const vh = ref?.layout?.viewport?.h || step.pre?.page_info?.viewport_height;
+  // subframe boxes only line up with the screenshot once converted to top-level coordinates
+  if (!box || !vw || !vh || (ref.context?.is_top_frame === false && !ref.context?.frame_chain)) return null;
+  return {
+    left: `${(box.x / vw) * 100}%`,
+    top: `${(box.y / vh) * 100}%`,
+    width: `${(box.w / vw) * 100}%`,
+    height: `${(box.h / vh) * 100}%`
+  };
+}
+
+// Screenshots are fetched once a pane comes near the viewport.
+const paneLoaders = new WeakMap();
+const paneObserver = new IntersectionObserver((entries) => {
+  for (const entry of entries) {
+    if (!entry.isIntersecting) continue;
+    paneObserver.unobserve(entry.target);
+    paneLoaders.get(entry.target)?.();
+  }
+}, { rootMargin: "600px" });
+
+function shotPane(label, stepNumber, pick, overlay) {
+  const pane = document.createElement("div");
+  pane.className = "shot";
+  const tag = document.createElement("span");
+  tag.className = "label";
+  tag.textContent = label;
+  pane.appendChild(tag);
+  paneLoaders.set(pane, () => loadShots(stepNumber).then(resp => {
+    const url = resp?.[pick];
+    if (!url) {
+      const none = document.createElement("div");
+      none.className = "none";
+      none.textContent = "No screenshot";
+      pane.prepend(none);
+      return;
+    }
+    const img = document.createElement("img");
+    img.src = url;
+    pane.prepend(img);
+    if (overlay) {
+      const box = document.createElement("div");
+      box.className = "bbox";
+      Object.assign(box.style, overlay);
+      pane.appendChild(box);
+    }
+  }));
+  paneObserver.observe(pane);
+  return pane;
+}
+
+function button(label, className, onClick, disabled = false) {
+  const b = document.createElement("button");
+  b.textContent = label;
+  b.className = `btn ${className || ""}`.trim();
+  b.disabled = disabled || episode?.is_recording;
+  b.addEventListener("click", onClick);
+  return b;
+}
+
+function markDirty() {
+  dirty = true;
+  render();
+}
+
+function previousKept(index) {
+  for (let i = index - 1; i >= 0; i--) if (!items[i].deleted) return i;
+  return -1;
+}
+
+function renderItem(item, index) {
+  const first = stepsByNumber.get(item.from[0]);
+  const last = stepsByNumber.get(item.from[item.from.length - 1]);
+
+  const card = document.createElement("div");
+  card.className = `step${item.deleted ? " deleted" : ""}`;
+
+  const head = document.createElement("div");
+  head.className = "step-head";
+  const num = document.createElement("span");
+  num.className = "num mono";
+  num.textContent = `#${item.from[0]}`;
+  const summary = document.createElement("span");
+  summary.className = "summary";
+  summary.textContent = summarizeAction(first.action);
+  const time = document.createElement("span");
+  time.className = "time mono";
+  time.textContent = first.t_iso ? new Date(first.t_iso).toLocaleTimeString() : "";
+  head.append(
+    num,
+    summary,
+    time,
+    button("↑", "", () => {
+      [items[index - 1], items[index]] = [items[index], items[index - 1]];
+      markDirty();
+    }, index === 0),
+    button("↓", "", () => {
+      [items[index + 1], items[index]] = [items[index], items[index + 1]];
+      markDirty();
+    }, index === items.length - 1),
+    button("Merge into previous", "btn-secondary", () => {
+      const prev = items[previousKept(index)];
+      prev.from.push(...item.from);
+      prev.note = [prev.note, item.note].filter(Boolean).join("\n");
+      items.splice(index, 1);
+      markDirty();
+    }, item.deleted || previousKept(index) < 0),
+    button(item.deleted ? "Restore" : "Delete", item.deleted ? "" : "btn-danger", () => {
+      item.deleted = !item.deleted;
+      markDirty();
+    })
+  );
+  card.appendChild(head);
+
+  if (item.from.length > 1) {
+    const merged = document.createElement("div");
+    merged.className = "merged";
+    merged.textContent = `Merges steps ${item.from.join(", ")}: pre/action from #${item.from[0]}, post from #${item.from[item.from.length - 1]}; the diff is recomputed on save.`;
+    card.appendChild(merged);
+  }
+
+  const panes = document.createElement("div");
+  panes.className = "shots";
+  panes.append(
+    shotPane("pre", item.from[0], "pre", bboxStyle(first)),
+    shotPane("post", item.from[item.from.length - 1], "post", null)
+  );
+  card.appendChild(panes);
+
+  const diff = document.createElement("ul");
+  diff.className = "diff";
+  diff.replaceChildren(...diffLines(last).map(line => {
+    const li = document.createElement("li");
+    li.textContent = line;
+    return li;
+  }));
+  card.appendChild(diff);
+
+  const note = document.createElement("textarea");
+  note.rows = 2;
+  note.placeholder = "Note (kept with the step in exports)";
+  note.value = item.note || "";
+  note.disabled = episode.is_recording;
+  note.addEventListener("input", () => {
+    item.note = note.value;
+    dirty = true;
+    renderState();
+  });
+  card.appendChild(note);
+  return card;
+}
+
+function renderState() {
+  const kept = items.filter(it => !it.deleted).length;
+  $("editState").textContent = dirty ? `Unsaved edits: ${kept} step(s) after saving` : `${kept} step(s)`;
+  $("btnSave").disabled = !dirty || episode?.is_recording;
+  $("btnDiscard").disabled = !dirty;
+}
+
+function render() {
+  $("timeline").replaceChildren(...items.map(renderItem));
+  $("emptyState").hidden = items.length > 0;
+  renderState();
+}
+
+async function load() {
+  if (!episodeId) {
+    setMessage("No episode given.");
+    return;
+  }
+  const resp = await send({type: "RECORDER_REVIEW_GET", episodeId});
+  if (!resp?.ok) {
+    setMessage(resp?.lastMessage || "Could not load the episode.");
+    return;
+  }
+  episode = resp.episode;
+  stepsByNumber = new Map(resp.steps.map(s => [s.step_number, s]));
+  items = resp.steps.map(s => ({ from: [s.step_number], deleted: false, note: s.note || "" }));
+  dirty = false;
+  shots.clear();
+  $("episodeTitle").textContent = `Review: ${episode.name}`;
+  $("episodeTask").textContent = episode.task?.description
+    ? `Task: ${episode.task.description}` + (episode.task.success_criteria?.length ? ` (done when: ${episode.task.success_criteria.join("; ")})` : "")
+    : "";
+  document.title = `Review: ${episode.name}`;
+  if (episode.is_recording) setMessage("This episode is being recorded; stop recording to edit it.");
+  render();
+}
+
+$("btnSave").addEventListener("click", async () => {
+  const plan = items.filter(it => !it.deleted).map(it => ({ from: it.from, note: it.note }));
+  const resp = await send({type: "RECORDER_REVIEW_SAVE", episodeId, plan});
+  setMessage(resp?.lastMessage);
+  if (resp?.ok) await load();
+});
+
+$("btnDiscard").addEventListener("click", load);
+
+$("btnExport").addEventListener("click", async () => {
+  if (dirty && !confirm("Export without your unsaved edits?")) return;
+  const resp = await send({type: "RECORDER_EXPORT", episodeId, format: $("exportFormat").value});
+  setMessage(resp?.lastMessage);
+});
+
+window.addEventListener("beforeunload", (e) => {
+  if (dirty) e.preventDefault();
+});
+
+load();
@@ -0,0 +1,106 @@
+/*
+Episode schema version, structural validation and migrations.
+episode.schema.json is the published description of the format; validateEpisodeOut checks the
+parts of it that matter for consumers (required fields, types, step order, incomplete steps)
+without pulling a JSON Schema engine into the extension.
+
+Version history:
+  1 - no schema_version field (everything exported before it was added)
+  2 - schema_version; origin.build is the extension version from manifest.json
+When SCHEMA_VERSION moves, add an EPISODE_MIGRATIONS entry and a DB_VERSION bump in
+background.js that runs upgradeStoredEpisode over the stored rows.
+*/
+
+export const SCHEMA_VERSION = 2;
+
+export const ACTION_TYPES = [
+  "click", "dblclick", "context_click", "hover", "drag", "upload", "copy", "cut", "paste", "shortcut",
+  "input", "type_text", "fill", "submit", "select", "scroll", "key", "navigate", "open_tab", "switch_tab",
+  "close_tab", "off_record", "annotation", "unknown"
+];
+
+// Steps that are complete without observations of their own.
+const NO_POST_ACTIONS = ["annotation"];
+
+function isObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Upgrades keyed by the version they produce; each receives an episode at version - 1 and
+// mutates it. They run on stored episode rows (DB upgrade) and on imported files alike.
+const EPISODE_MIGRATIONS = {
+  2: (ep) => {
+    if (!Array.isArray(ep.tags)) ep.tags = [];
+    if (ep.task === undefined) ep.task = null;
+    if (!Array.isArray(ep.annotations)) ep.annotations = [];
+  }
+};
+
+// Returns the version the episode was at before upgrading.
+export function upgradeStoredEpisode(ep) {
+  const from = Number.isInteger(ep.schema_version) ? ep.schema_version : 1;
+  for (let v = from + 1; v <= SCHEMA_VERSION; v++) {
+    EPISODE_MIGRATIONS[v]?.(ep);
+    ep.schema_version = v;
+  }
+  return from;
+}
+
+function needsPost(step) {
+  return !NO_POST_ACTIONS.includes(step.action?.type);
+}
+
+export function isIncompleteStep(step) {
+  return needsPost(step) && step.post == null;
+}
+
+function checkObservation(obs, path, problem) {
+  if (!isObject(obs)) {
+    problem("error", path, "is not an object");
+    return;
+  }
+  if (typeof obs.url !== "string") problem("error", `${path}.url`, "is missing");
+  if (typeof obs.title !== "string") problem("error", `${path}.title`, "is missing");
+  if (obs.dom_state != null && !isObject(obs.dom_state)) problem("error", `${path}.dom_state`, "is not an object");
+  if (obs.tabs != null && !Array.isArray(obs.tabs)) problem("error", `${path}.tabs`, "is not an array");
+}
+
+// episode: an export-shaped episode. Returns [{ level, step_number, path, message }].
+export function validateEpisodeOut(episode) {
+  const problems = [];
+  let stepNumber = null;
+  const problem = (level, path, message) => problems.push({ level, step_number: stepNumber, path, message: `${path} ${message}` });
+
+  if (episode.schema_version !== SCHEMA_VERSION) problem("error", "schema_version", `is not ${SCHEMA_VERSION}`);
+  if (typeof episode.episode_id !== "string" || !episode.episode_id) problem("error", "episode_id", "is missing");
+  if (typeof episode.created_at !== "string" || Number.isNaN(Date.parse(episode.created_at))) problem("error", "created_at", "is not a date");
+  if (!Array.isArray(episode.steps)) {
+    problem("error", "steps", "is not an array");
+    return problems;
+  }
+
+  let prev = -1;
+  episode.steps.forEach((step, i) => {
+    const path = `steps[${i}]`;
+    stepNumber = Number.isInteger(step?.step_number) ? step.step_number : null;
+    if (!isObject(step)) {
+      problem("error", path, "is not an object");
+      return;
+    }
+    if (typeof step.step_id !== "string") problem("error", `${path}.step_id`, "is missing");
+    if (stepNumber == null || stepNumber < 0) problem("error", `${path}.step_number`, "is not a non-negative integer");
+    else if (stepNumber <= prev) problem("error", `${path}.step_number`, `is not after ${prev}`);
+    else prev = stepNumber;
+
+    if (!isObject(step.action) || typeof step.action.type !== "string") problem("error", `${path}.action.type`, "is missing");
+    else if (!ACTION_TYPES.includes(step.action.type)) problem("warning", `${path}.action.type`, `"${step.action.type}" is not a known action type`);
+
+    if (step.pre != null) checkObservation(step.pre, `${path}.pre`, problem);
+    else if (needsPost(step)) problem("warning", `${path}.pre`, "is missing");
+    if (step.post != null) checkObservation(step.post, `${path}.post`, problem);
+    else if (step.unfinalized) problem("warning", `${path}.post`, `is missing: the post capture could not finish (${step.unfinalized.reason})`);
+    else if (needsPost(step)) problem("warning", `${path}.post`, "is missing: the post capture never ran (incomplete step)");
+    if (step.derived != null && !isObject(step.derived)) problem("error", `${path}.derived`, "is not an object");
+  });
+  return problems;
+}
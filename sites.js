@@ -0,0 +1,89 @@
+/*
+Domain allow/deny lists and per-site recording rules.
+Patterns match the URL's hostname and are either globs ("*.bank.com" matches bank.com and any
+subdomain, "mail.google.com" matches exactly) or regexes written as "/.../flags".
+Deny wins over allow; a non-empty allow list means only matching sites are recorded.
+*/
+
+export const DEFAULT_SITE_RULES = {
+  allow: [],
+  deny: [],
+  off_record: "placeholder", // "placeholder": one "off_record" step per visit; "drop": nothing
+  overrides: []              // [{ pattern, options: { captureScreenshots, captureDomState, ... } }]
+};
+
+export function hostnameOf(url) {
+  try { return new URL(url).hostname.toLowerCase(); } catch { return ""; }
+}
+
+function compilePattern(pattern) {
+  const p = String(pattern).trim();
+  const re = /^\/(.+)\/([a-z]*)$/.exec(p);
+  if (re) return new RegExp(re[1], re[2]);
+  const glob = p.toLowerCase();
+  if (glob.startsWith("*.")) {
+    const base = glob.slice(2).replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+    return new RegExp(`^(?:.*\\.)?${base}$`);
+  }
+  return new RegExp(`^${glob.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`);
+}
+
+// Returns { rules, errors }; invalid patterns are reported and left out.
+export function validateSiteRules(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const errors = [];
+  const patterns = (list, name) => {
+    const out = [];
+    for (const p of (Array.isArray(list) ? list : [])) {
+      if (!String(p).trim()) continue;
+      try {
+        compilePattern(p);
+        out.push(String(p).trim());
+      } catch (e) {
+        errors.push(`${name}: "${p}": ${e.message}`);
+      }
+    }
+    return out;
+  };
+  const overrides = [];
+  for (const [i, o] of (Array.isArray(src.overrides) ? src.overrides : []).entries()) {
+    if (!o?.pattern) { errors.push(`overrides[${i}]: missing pattern`); continue; }
+    try {
+      compilePattern(o.pattern);
+      overrides.push({ pattern: String(o.pattern), options: { ...(o.options || {}) } });
+    } catch (e) {
+      errors.push(`overrides[${i}]: ${e.message}`);
+    }
+  }
+  const offRecord = src.off_record === "drop" ? "drop" : "placeholder";
+  if (src.off_record && !["drop", "placeholder"].includes(src.off_record)) {
+    errors.push(`off_record: unknown mode "${src.off_record}"`);
+  }
+  return {
+    rules: { allow: patterns(src.allow, "allow"), deny: patterns(src.deny, "deny"), off_record: offRecord, overrides },
+    errors
+  };
+}
+
+function firstMatch(patterns, host) {
+  for (const p of patterns) {
+    try { if (compilePattern(p).test(host)) return p; } catch {}
+  }
+  return null;
+}
+
+// { recorded, reason, pattern, options } for a URL under the given rules.
+export function siteDecision(url, rules) {
+  const r = rules || DEFAULT_SITE_RULES;
+  const host = hostnameOf(url);
+  if (!host) return { recorded: true, reason: null, pattern: null, options: {} };
+
+  const denied = firstMatch(r.deny, host);
+  if (denied) return { recorded: false, reason: "deny_list", pattern: denied, options: {} };
+  if (r.allow.length) {
+    const allowed = firstMatch(r.allow, host);
+    if (!allowed) return { recorded: false, reason: "not_in_allow_list", pattern: null, options: {} };
+  }
+  const override = r.overrides.find(o => firstMatch([o.pattern], host));
+  return { recorded: true, reason: null, pattern: override?.pattern || null, options: override?.options || {} };
+}
@@ -0,0 +1,100 @@
+/*
+Coalescing plans of coalesce.js: `node --test test/`.
+Each case feeds planCoalesce the tab's recent steps and one incoming action and checks the plan
+background.js would apply: which step is rewritten, which are dropped, where the post comes from.
+*/
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { planCoalesce, FILL_WINDOW_MS } from "../coalesce.js";
+
+const field = { dom: { tag: "input", attrs: { type: "email" }, selectors: { css: "#email" } }, context: { frame_url: "https://a.test/" } };
+const other = { dom: { tag: "input", attrs: { type: "text" }, selectors: { css: "#name" } }, context: { frame_url: "https://a.test/" } };
+const area = { dom: { tag: "textarea", selectors: { css: "#notes" } }, context: { frame_url: "https://a.test/" } };
+
+const step = (step_number, action, at) => ({ step_number, action, t_ms: at, t_iso: null, at });
+const click = (n, at, ref = field) => step(n, { type: "click", target_ref: ref, pointer: { x: 10, y: 20 } }, at);
+const incoming = (action, at) => ({ action, t_ms: at, t_iso: null, at });
+
+test("click then input on the same field becomes a fill", () => {
+  const plan = planCoalesce([click(3, 1000)], incoming({ type: "input", target_ref: field, value: "a@b.c" }, 5000), 3);
+  assert.equal(plan.into, 3);
+  assert.equal(plan.recapture, true);
+  assert.deepEqual(plan.drop, []);
+  assert.equal(plan.postFrom, undefined);
+  assert.equal(plan.action.type, "fill");
+  assert.equal(plan.action.value, "a@b.c");
+  assert.deepEqual(plan.action.pointer, { x: 10, y: 20 });
+  assert.deepEqual(plan.action.raw_events.map(e => e.action.type), ["click", "input"]);
+});
+
+test("typing is not merged into a stale click or one on another field", () => {
+  const typed = { type: "type_text", target_ref: field, value: "x" };
+  assert.equal(planCoalesce([click(3, 0)], incoming(typed, FILL_WINDOW_MS + 1), 3), null);
+  assert.equal(planCoalesce([click(3, 0, other)], incoming(typed, 1000), 3), null);
+});
+
+test("a Tab that is still the latest step is folded into the fill and dropped", () => {
+  const tab = step(4, { type: "key", keys: ["Tab"], target_ref: field }, 2000);
+  const plan = planCoalesce([click(3, 1000), tab], incoming({ type: "input", target_ref: field, value: "v" }, 2100), 4);
+  assert.equal(plan.into, 3);
+  assert.equal(plan.recapture, true);
+  assert.deepEqual(plan.drop, [4]);
+  assert.equal(plan.action.ended_by, "Tab");
+  assert.deepEqual(plan.action.raw_events.map(e => e.action.type), ["click", "input", "key"]);
+});
+
+test("a Tab followed by other steps stays, and the fill takes its pre as post", () => {
+  const tab = step(4, { type: "key", keys: ["Tab"], target_ref: field }, 2000);
+  const plan = planCoalesce([click(3, 1000), tab], incoming({ type: "input", target_ref: field, value: "v" }, 2100), 5);
+  assert.equal(plan.into, 3);
+  assert.equal(plan.recapture, false);
+  assert.equal(plan.postFrom, 4);
+  assert.deepEqual(plan.drop, []);
+  assert.equal(plan.action.ended_by, undefined);
+});
+
+test("Tab after a typing-mode fill ends it", () => {
+  const fill = step(3, { type: "fill", target_ref: field, value: "v", raw_events: [{ t_ms: 1, t_iso: null, action: { type: "click" } }] }, 1000);
+  const plan = planCoalesce([fill], incoming({ type: "key", keys: ["Tab"], target_ref: field }, 1500), 3);
+  assert.equal(plan.into, 3);
+  assert.equal(plan.action.ended_by, "Tab");
+  assert.deepEqual(plan.action.raw_events.map(e => e.action.type), ["click", "key"]);
+});
+
+test("Enter in a single-line field is recorded as submit", () => {
+  const enter = { type: "key", keys: ["Enter"], target_ref: field, key_info: { key: "Enter" } };
+  const plan = planCoalesce([], incoming(enter, 1000), 0);
+  assert.equal(plan.record.type, "submit");
+  assert.equal(plan.record.target_ref, field);
+  assert.deepEqual(plan.record.raw_events.map(e => e.action.type), ["key"]);
+  assert.equal(planCoalesce([], incoming({ ...enter, target_ref: area }, 1000), 0), null);
+});
+
+test("the change event after a submit fills the clicked field with the submit's pre as post", () => {
+  const submit = step(4, { type: "submit", target_ref: field }, 2000);
+  const plan = planCoalesce([click(3, 1000), submit], incoming({ type: "input", target_ref: field, value: "q" }, 2050), 4);
+  assert.equal(plan.into, 3);
+  assert.equal(plan.recapture, false);
+  assert.equal(plan.postFrom, 4);
+  assert.deepEqual(plan.drop, []);
+  assert.equal(plan.action.type, "fill");
+});
+
+test("a burst of scrolls of one container sums into the first", () => {
+  const scroll = (n, at, dy) => step(n, { type: "scroll", container: "window", dx: 0, dy, scroll_x: 0, scroll_y: dy }, at);
+  const plan = planCoalesce([scroll(6, 1000, 100)], incoming({ type: "scroll", container: "window", dx: 0, dy: 150, scroll_x: 0, scroll_y: 250 }, 1600), 6);
+  assert.equal(plan.into, 6);
+  assert.equal(plan.recapture, true);
+  assert.deepEqual(plan.drop, []);
+  assert.equal(plan.action.dy, 250);
+  assert.equal(plan.action.scroll_y, 250);
+  assert.deepEqual(plan.action.raw_events.map(e => e.action.dy), [100, 150]);
+});
+
+test("scrolls after a pause or of another container stay separate", () => {
+  const last = step(6, { type: "scroll", container: "window", dy: 100 }, 1000);
+  assert.equal(planCoalesce([last], incoming({ type: "scroll", container: "window", dy: 50 }, 2500), 6), null);
+  const inner = { type: "scroll", container: "element", container_ref: area, dy: 50 };
+  assert.equal(planCoalesce([last], incoming(inner, 1200), 6), null);
+});
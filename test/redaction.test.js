@@ -0,0 +1,50 @@
+/*
+Detector checks for redaction.js: `node --test test/`.
+Ordinary page text (dates, times, amounts, IP addresses, app IDs) must come through unchanged.
+*/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../redaction.js");
+const { normalizePolicy, redactText } = globalThis.EpisodeRedaction;
+
+const policy = normalizePolicy(null);
+const redact = (text) => redactText(text, policy, "nearby_text").value;
+
+test("leaves dates, times, amounts and addresses alone", () => {
+  for (const text of [
+    "2024-01-15 10:30",
+    "2024-01-15 10:30:45.123",
+    "15.01.2024 10:30",
+    "2024-01-15T10:30:00",
+    "192.168.100.200",
+    "10.0.0.1",
+    "1 234 567.89",
+    "1 234 567 890",
+    "Total 12 345 678,90",
+    "Order 123456789",
+    "Invoice 2024-0001-23"
+  ]) {
+    assert.equal(redact(text), text, text);
+  }
+});
+
+test("masks grouped and prefixed phone numbers", () => {
+  for (const text of ["+1 415 555 2671", "+14155552671", "(555) 123-4567", "555-123-4567", "555.123.4567", "020 7946 0958", "06 12 34 56 78", "+44 (0) 20 7946 0958",
+    "+44 7700 900123", "+49 30 12345678", "+33 6 12 34 56 78", "07700 900123", "1-800-555-0199"]) {
+    assert.equal(redact(text), "[PHONE]", text);
+  }
+  assert.equal(redact("Phone: 415 555 2671."), "Phone: [PHONE].");
+});
+
+test("national IDs: SSN shape and upper-case NINO only", () => {
+  assert.equal(redact("123-45-6789"), "[NATIONAL_ID]");
+  assert.equal(redact("AB123456C"), "[NATIONAL_ID]");
+  assert.equal(redact("AB 12 34 56 C"), "[NATIONAL_ID]");
+  assert.equal(redact("ab123456c"), "ab123456c");
+});
+
+test("cards and emails", () => {
+  assert.equal(redact("4111 1111 1111 1111"), "[CARD]");
+  assert.equal(redact("mail a@b.com"), "mail [EMAIL]");
+});
@@ -0,0 +1,188 @@
+/*
+Training-data export: one JSONL sample per step for imitation learning. Each sample pairs the
+pre observation (llm_representation, URL, title, optional screenshot path) and context (task,
+current sub-goal, previous actions) with the step's action in index form, e.g. click(index=7)
+or input(index=3, "foo"). Indexes refer to the pre dom_state.selector_map.
+Samples whose target can't be found in the selector map keep `action: null` and are flagged
+"unmapped_target" rather than dropped. Annotation steps and clicks that were part of a drag or
+double-click are not actions of their own and produce no sample.
+*/
+
+import { isIncompleteStep } from "./schema.js";
+
+const HISTORY_LIMIT = 20;
+
+const str = (v) => JSON.stringify(String(v ?? ""));
+
+function center(box) {
+  return box ? { x: box.x + box.w / 2, y: box.y + box.h / 2 } : null;
+}
+
+function contains(box, p) {
+  return !!box && !!p && p.x >= box.x && p.x <= box.x + box.w && p.y >= box.y && p.y <= box.y + box.h;
+}
+
+function sameHosts(item, ref) {
+  const a = item.shadow_hosts || [];
+  const b = (ref.context?.shadow_hosts || []).map(h => h.css);
+  return a.length === b.length && a.every((css, i) => css === b[i]);
+}
+
+// Target element ref -> { index, matched_by } in the pre selector map, or null.
+// The recorded target is the innermost element under the pointer (a <span> inside a button),
+// so after exact selector matches the smallest interactable containing it wins.
+export function resolveIndex(selectorMap, ref) {
+  if (!ref?.dom || !selectorMap) return null;
+  const entries = Object.entries(selectorMap);
+  const css = ref.dom.selectors?.css;
+  const xpath = ref.dom.selectors?.xpath;
+
+  let hit = css && entries.find(([, it]) => it.selectors?.css === css && sameHosts(it, ref));
+  if (hit) return { index: Number(hit[0]), matched_by: "css" };
+  hit = xpath && entries.find(([, it]) => it.selectors?.xpath === xpath);
+  if (hit) return { index: Number(hit[0]), matched_by: "xpath" };
+
+  if (ref.dom.name) {
+    const same = entries.filter(([, it]) => it.tag === ref.dom.tag && it.label === ref.dom.name);
+    if (same.length === 1) return { index: Number(same[0][0]), matched_by: "label" };
+  }
+
+  const p = center(ref.layout?.bbox);
+  const around = entries
+    .filter(([, it]) => contains(it.bbox, p))
+    .sort((a, b) => (a[1].bbox.w * a[1].bbox.h) - (b[1].bbox.w * b[1].bbox.h));
+  if (around.length) return { index: Number(around[0][0]), matched_by: "bbox" };
+  return null;
+}
+
+// Action -> { text, target, flags }. text is null when the action needs a target index that
+// could not be resolved.
+function actionText(step) {
+  const a = step.action || {};
+  const map = step.pre?.dom_state?.selector_map;
+  const flags = [];
+  const indexOf = (ref) => {
+    const r = resolveIndex(map, ref);
+    if (!r) flags.push(Object.keys(map || {}).length ? "unmapped_target" : "no_dom_state");
+    return r;
+  };
+  const withIndex = (name, ref, ...args) => {
+    const r = indexOf(ref);
+    return { text: r ? `${name}(${[`index=${r.index}`, ...args].join(", ")})` : null, target: r };
+  };
+
+  let out;
+  switch (a.type) {
+    case "click":
+    case "dblclick":
+    case "hover":
+      out = withIndex(a.type, a.target_ref);
+      break;
+    case "context_click":
+      out = withIndex("right_click", a.target_ref);
+      break;
+    case "input":
+    case "type_text":
+    case "fill":
+      out = withIndex("input", a.target_ref, str(a.value));
+      break;
+    case "submit":
+      out = withIndex("submit", a.target_ref);
+      break;
+    case "select":
+      out = withIndex("select", a.target_ref, str(a.option_value));
+      break;
+    case "upload":
+      out = withIndex("upload", a.target_ref, `files=${JSON.stringify((a.files || []).map(f => f.name))}`);
+      break;
+    case "drag": {
+      const from = indexOf(a.source_ref);
+      const to = a.target_ref ? indexOf(a.target_ref) : null;
+      out = { text: from && to ? `drag(index=${from.index}, to_index=${to.index})` : null, target: from };
+      break;
+    }
+    case "scroll":
+      out = a.container === "element"
+        ? withIndex("scroll", a.container_ref, `dx=${a.dx ?? 0}`, `dy=${a.dy ?? 0}`)
+        : { text: `scroll(dx=${a.dx ?? 0}, dy=${a.dy ?? 0})`, target: null };
+      break;
+    case "key":
+      out = { text: `key(${str(a.keys?.[0])})`, target: null };
+      break;
+    case "shortcut":
+      out = { text: `shortcut(${str(a.combo || (a.keys || []).join("+"))})`, target: null };
+      break;
+    case "copy":
+    case "cut":
+    case "paste":
+      out = { text: `${a.type}(${str(a.text)})`, target: null };
+      break;
+    case "navigate":
+      out = { text: a.url ? `navigate(${str(a.url)})` : null, target: null };
+      if (!a.url) flags.push("off_record");
+      break;
+    case "open_tab":
+      out = { text: "open_tab()", target: null };
+      break;
+    case "switch_tab":
+    case "close_tab":
+      out = { text: `${a.type}(tab_index=${a.tab_index})`, target: null };
+      break;
+    case "off_record":
+      out = { text: null, target: null };
+      flags.push("off_record");
+      break;
+    default:
+      out = { text: null, target: null };
+      flags.push("unknown_action");
+  }
+  if (/<redacted>|\[[A-Z_]+(?::[0-9a-f]{8})?\]/.test(String(a.value ?? a.option_value ?? a.text ?? ""))) flags.push("redacted_value");
+  if (a.target_ref?.context?.is_top_frame === false) flags.push("in_frame");
+  return { ...out, flags };
+}
+
+// episode: export-shaped episode. screenshotPath(step, kind) -> path of the pre screenshot, or
+// with kind "marked" its set-of-marks version (same layout as bundle exports), or null.
+// Returns { samples, unmapped }.
+export function buildTrainingSamples(episode, screenshotPath = () => null) {
+  const samples = [];
+  const history = [];
+  let unmapped = 0;
+  let subgoal = null;
+
+  for (const step of episode.steps) {
+    const a = step.action || {};
+    if (a.type === "annotation") {
+      if (a.kind === "subgoal") subgoal = a.text;
+      continue;
+    }
+    if (a.part_of) continue;
+
+    const { text, target, flags } = actionText(step);
+    if (flags.includes("unmapped_target") || flags.includes("no_dom_state")) unmapped++;
+    if (isIncompleteStep(step)) flags.push("incomplete");
+    samples.push({
+      episode_id: episode.episode_id,
+      step_id: step.step_id,
+      step_number: step.step_number,
+      task: episode.task || null,
+      subgoal,
+      observation: {
+        url: step.pre?.url ?? null,
+        title: step.pre?.title ?? null,
+        tab_index: step.pre?.tab_index ?? null,
+        dom: step.pre?.dom_state?.llm_representation ?? "",
+        screenshot_path: step.pre?.screenshot ? screenshotPath(step) : null,
+        screenshot_marked_path: step.pre?.screenshot_marked ? screenshotPath(step, "marked") : null
+      },
+      previous_actions: history.slice(-HISTORY_LIMIT),
+      action: text,
+      action_type: a.type,
+      target_index: target?.index ?? null,
+      target_matched_by: target?.matched_by ?? null,
+      flags
+    });
+    history.push(text ?? `${a.type}(?)`);
+  }
+  return { samples, unmapped };
+}